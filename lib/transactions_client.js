@@ -12,22 +12,20 @@ Meteor.startup(function() {
 
 ////////// Undo and Redo buttons //////////
 
+// Use {{> undoRedoButtons scope="<scope>"}} to get buttons that only undo and redo transactions in that scope
+
 Template.undoRedoButtons.helpers({
 	
   hideUndoButton : function() {
-	return (Transactions.find({user_id:Meteor.userId(),$or:[{undone:null}, {undone:{$exists: false}}], expired: {$exists: false}}).count()) ? '' : 'hide-undo-button';
+	return (tx.canUndo({scope:this.scope})) ? '' : 'hide-undo-button';
   },
   
   hideRedoButton : function() {
-	return (Transactions.find({user_id:Meteor.userId(),undone: {$exists: true, $ne: null}, expired: {$exists: false}}).count()) ? '' : 'hide-redo-button';
+	return (tx.canRedo({scope:this.scope})) ? '' : 'hide-redo-button';
   },
   
   action : function(type) {
-	var sel = {user_id:Meteor.userId(), expired: {$exists: false}}; // This is for autopublish scenarios
-	var existsOrNot = (type === 'redo') ? {undone:{$exists:true, $ne:null}} : {$or:[{undone:null}, {undone:{$exists: false}}]};
-	var sorter = {};
-	sorter[(type === 'redo') ? 'undone' : 'timestamp'] = -1;
-	var transaction = Transactions.findOne(_.extend(sel,existsOrNot),{sort:sorter});
+	var transaction = (type === 'redo') ? tx.nextRedo({scope:this.scope}) : tx.nextUndo({scope:this.scope});
 	return transaction && transaction.description;
   },
   
@@ -40,11 +38,84 @@ Template.undoRedoButtons.helpers({
 Template.undoRedoButtons.events({
 	
   'click #undo-button' : function() {
-	tx.undo();	
+	tx.undo({scope:this.scope});	
   },
   
   'click #redo-button' : function() {
-	tx.redo();	
+	tx.redo({scope:this.scope});	
   }
 	
-});
\ No newline at end of file
+});
+
+////////// Undo history panel //////////
+
+// Use {{> undoHistory}} to list the user's recent transactions -- clicking one undoes (or redoes) everything back to that point
+// It takes the same scope argument as undoRedoButtons, and a limit argument for the number of transactions listed (default: 20)
+
+var describeTimeSince = function(timestamp, now) {
+  var seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 60) {
+	return 'just now';
+  }
+  var minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+	return minutes + ((minutes === 1) ? ' minute ago' : ' minutes ago');
+  }
+  var hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+	return hours + ((hours === 1) ? ' hour ago' : ' hours ago');
+  }
+  var days = Math.floor(hours / 24);
+  return days + ((days === 1) ? ' day ago' : ' days ago');
+}
+
+Template.undoHistory.created = function() {
+  var self = this;
+  this.failure = new ReactiveVar(null);
+  this.now = new ReactiveVar((new Date).getTime());
+  this.busy = false;
+  // Keeps the relative times up to date
+  this.clock = Meteor.setInterval(function() {
+	self.now.set((new Date).getTime());
+  }, 30000);
+}
+
+Template.undoHistory.destroyed = function() {
+  Meteor.clearInterval(this.clock);
+}
+
+Template.undoHistory.helpers({
+  
+  entries : function() {
+	var sel = {user_id:Meteor.userId(), state: {$nin: tx._inFlightStates}};
+	var limit = (this.limit) ? parseInt(this.limit, 10) : 20;
+	return _.map(Transactions.find(tx._scopeSelector(sel,this.scope),{sort:{timestamp:-1},limit:limit}).fetch(),tx._summarizeTransaction);
+  },
+  
+  relativeTime : function(timestamp) {
+	return describeTimeSince(timestamp, Template.instance().now.get());
+  },
+  
+  failure : function() {
+	return Template.instance().failure.get();
+  }
+  
+});
+
+Template.undoHistory.events({
+  
+  'click .undo-history-entry' : function(evt, template) {
+	if (this.expired || this.superseded || template.busy) {
+	  return;
+	}
+	template.busy = true;
+	template.failure.set(null);
+	tx.jumpTo(this.transaction_id, {scope:template.data && template.data.scope}, function(err) {
+	  template.busy = false;
+	  if (err) {
+		template.failure.set(err.reason);
+	  }
+	});
+  }
+  
+});
@@ -11,13 +11,22 @@
 
 Transactions = new Mongo.Collection("transactions");
 
+// On the server, this holds the transaction state for code that has been run through tx.isolate()
+
+var isolatedTransactionState = (Meteor.isServer) ? new Meteor.EnvironmentVariable() : null;
+
+// On the server, snapshots of hard-deleted documents are kept here by default (see tx.snapshotStore)
+
+var TransactionSnapshots = (Meteor.isServer) ? new Mongo.Collection("transaction_snapshots") : null;
+
+// With tx.serverAuthoritative set to true, none of these rules let anything through -- the records are written by the server methods below
+
 if (Meteor.isServer) {
   Transactions.allow({
-	insert: function(userId, doc) { return (_.has(doc,"items") || doc.user_id !== userId) ? false : true; },
+	insert: function(userId, doc) { return (tx.serverAuthoritative || _.has(doc,"items") || doc.user_id !== userId) ? false : true; },
 	update: function(userId, doc, fields, modifier) { 
-	  if (userId !== doc.user_id) {
-		// TODO -- this condition will need to be modified to allow an admin to look through transactions and undo/redo them from the client
-		// That said, an admin interface shouldn't really be messing with the transactions collection from the client anyway, so ignoring this for now
+	  if (tx.serverAuthoritative || !tx._canAccessTransaction(userId,doc,'update')) {
+		// Users can only write to their own transactions, unless tx.checkTransactionAccess lets them write to other users' (e.g. for admins)
 		return false;
 	  }
 	  else {
@@ -31,6 +40,9 @@ if (Meteor.isServer) {
 	  }
 	},
 	remove: function(userId, doc) {
+	  if (tx.serverAuthoritative) {
+		return false;
+	  }
 	  var fullDoc = Transactions.findOne({_id:doc._id});
 	  return fullDoc && fullDoc.user_id === userId;
 	}
@@ -77,16 +89,30 @@ var Transact = function() {
   
   this.makeContext = function(command,collection,doc,modifier) { return {}; };
   
+  // Users can only undo, redo or update their own transactions
+  // Overwrite this to let some users (e.g. admins) undo, redo or update transactions that belong to other users -- return true to allow it
+  // It is only called for transactions that don't belong to the user, and "action" is one of "undo", "redo" or "update"
+  
+  this.checkTransactionAccess = function(userId,action,transaction) { return false; };
+  
   // If requireUser is set to false any non-logged in user gets the undo-redo stack of any non-logged-in user
   // For security purposes this should always be set to true in real apps
   
   this.requireUser = true;
   
-  // Publish user's transactions from the last five minutes (publication not reactive - so it will be everything from 5 minutes before the user's last page refresh)
-  // i.e. if the user doesn't refresh their page for 40 minutes, the last 45 minutes worth of their transactions will be published to the client
+  // Publish user's transactions from the last five minutes
+  // The window moves forward on the server, so transactions are taken off the client (and out of the undo/redo stack) once they're older than this
   
   this.undoTimeLimit = 5 * 60; // Number of seconds
   
+  // The most transactions that are published to a user at a time (the most recent ones) -- 0 means there's no limit
+  
+  this.publicationLimit = 0;
+  
+  // How often (in milliseconds) the publication takes transactions that have aged out of its undoTimeLimit window off the client
+  
+  this.publicationRefreshInterval = 10000;
+  
   // This function is called on the client when the user tries to undo (or redo) a transaction in which some (or all) documents have been altered by a later transaction
   
   this.onTransactionExpired = function() {alert('Sorry. Other edits have been made, so this action can no longer be reversed.');};
@@ -104,28 +130,76 @@ var Transact = function() {
   
   this.softDelete = false;
   
+  // Leave soft-deleted documents out of the results of every `find` and `findOne` call, so the `,deleted:{$exists:false}` isn't needed
+  // Pass {includeDeleted:true} in the options of a `find` or `findOne` call to get them anyway
+  
+  this.excludeDeleted = false;
+  
+  // On the server, the snapshots of hard-deleted documents are kept in the transaction_snapshots collection, and the transaction record only
+  // holds a reference to each one -- this keeps large removes from pushing transaction records past mongo's document size limit
+  // Set this to null to embed the snapshots in the transaction records instead (as they always are for transactions committed on the client)
+  // Or set it to your own storage -- an object with save(doc) (returning a reference), load(reference) and remove(reference) functions
+  
+  this.snapshotStore = (Meteor.isServer) ? this._snapshotCollectionStore() : null;
+  
+  // Compress the snapshots kept in the transaction_snapshots collection
+  
+  this.compressSnapshots = false;
+  
+  // Transactions left part-way through a commit (e.g. by a server crash) are finished or rolled back when the server starts up
+  // Only transactions with no recorded activity for more than this number of milliseconds are touched, so a server that is starting up
+  // doesn't interfere with transactions still being committed by another server in the same deployment
+  // Transactions that are still open on the server are only treated as abandoned after tx.idleTimeout on top of this
+  
+  this.recoveryDelay = 5000;
+  
+  // By default, transactions committed on the client write their own records to the transactions collection, through its allow rules
+  // Set this to true (on both client and server) to have every transaction record created and finalized by server methods instead
+  // The client is then denied all writes to the transactions collection and the permission check on a client-committed transaction is run
+  // on the server, against the real documents (the client still sees its records straight away, via the method stubs)
+  
+  this.serverAuthoritative = false;
+  
+  // By default, undoing a transaction puts it on the redo stack, where it stays (even after new transactions are made) until it's redone
+  // and redo takes the most recently undone transaction first
+  // Set this to true for the behaviour users know from most apps -- a new transaction discards the redo stack (the transactions on it are
+  // marked as "superseded") and redo goes through the undone transactions in exactly the reverse of the order they were undone in
+  
+  this.standardUndoStack = false;
+  
+  // The number of transactions kept on each user's undo stack (one per scope, if scopes are used) -- older ones are marked as "superseded"
+  // and can no longer be undone. 0 means there's no limit
+  
+  this.maxDepth = 0;
+  
+  // Retention policies for the transactions collection (on the server) -- 0 means the policy isn't applied
+  // Transaction records older than retentionMaxAge days are removed, as are undone, expired or superseded records older than
+  // retentionInactiveMaxAge days, and all but the most recent retentionMaxPerUser records for each user
+  // Documents that are still soft deleted by a transaction whose record is removed are removed from their collection for good
+  
+  this.retentionMaxAge = 0;
+  this.retentionInactiveMaxAge = 0;
+  this.retentionMaxPerUser = 0;
+  
+  // The retention policies are applied every retentionInterval milliseconds (the interval is set on startup)
+  
+  this.retentionInterval = 60 * 60 * 1000;
+  
   // ***************************
   // DONT OVERWRITE ANY OF THESE
   // ***************************
   
-  this._transaction_id = null;
-  this._autoTransaction = false;
-  this._executionStack = [];
-  this._items = {};
-  this._startAttempts = 0;
-  this._rollback = false;
-  this._rollbackReason = '';
-  this._autoCancel = null;
-  this._lastTransactionData = null;
-  this._context = {};
-  this._inverseOps = {
-	'$set' : '$set',
-	'$addToSet' : '$pull',
-	'$unset' : '$set',
-	'$pull' : '$addToSet',
-	'$inc' : '$set',
-	'$push' : '$set' // this is a buggy hack that will only work in certain simple scenarios -- using "$push" is NOT RECOMMENDED
-  }
+  // The state of the transaction in progress (this._transaction_id, this._items, etc.) is kept in a separate object -- see this._state()
+  this._sharedState = this._newState();
+  // Two-phase commit states -- "pending" while the transaction is open, "applying" while the execution stack is processed,
+  // "applied" once every write is made and recorded, and "done" when the pending markers have been taken off the documents
+  this._inFlightStates = ['pending','applying','applied'];
+  // Functions registered with tx.before, tx.after and tx.on, by event name
+  this._hooks = {before:{},after:{}};
+  // Relations declared with tx.relations -- the names of the collections with dependents, each mapped to {<dependent collection name>:<field>}
+  this._relations = {};
+  // The inverse of any of these is worked out by restoring the former values of the fields they touch
+  this._updateOperators = ['$set','$unset','$inc','$mul','$min','$max','$currentDate','$rename','$setOnInsert','$push','$pushAll','$addToSet','$pop','$pull','$pullAll','$bit'];
 }
 
 // **********
@@ -133,25 +207,40 @@ var Transact = function() {
 // **********
 
 // Starts a transaction
+// Pass {scope:<string>} as options to put the transaction on its own undo stack (e.g. one per document, editor or workspace)
+// -- tx.undo({scope:<string>}) and tx.redo({scope:<string>}) only ever touch transactions in that scope
 
-Transact.prototype.start = function(description) {
+Transact.prototype.start = function(description,options) {
   if (tx.requireUser && !Meteor.userId()) {
 	this.log('User must be logged in to start a transaction.');
 	this._cleanReset();
 	return;
   }
-  this._resetAutoCancel();
   if (!this._transaction_id) {
 	if (typeof description === 'undefined') {
 	  description = 'last action';  
 	}
-	this._transaction_id = Transactions.insert({user_id:Meteor.userId(),timestamp:(new Date).getTime(),description:description});
-	this.log('Started "' + description + '" with transaction_id: ' + this._transaction_id + ((this._autoTransaction) ? ' (auto started)' : ''));
+	var transaction = {user_id:Meteor.userId(),timestamp:(new Date).getTime(),description:description,state:'pending'};
+	if (Meteor.isServer) {
+	  // Only transactions opened on the server keep track of their activity -- recovery never touches the open transactions of clients
+	  transaction.lastActivity = transaction.timestamp;
+	}
+	if (options && _.isString(options.scope)) {
+	  transaction.scope = options.scope;
+	}
+	this._transaction_id = this._insertTransaction(transaction);
+	// The timer is only set once the transaction has its _id, as it does nothing if the transaction has changed by the time it fires
+	this._resetAutoCancel();
+	this.log('Started "' + description + '" with transaction_id: ' + this._transaction_id + ((this._autoTransaction) ? ' (auto started)' : '') + ((transaction.scope) ? ' in scope: ' + transaction.scope : ''));
 	return this._transaction_id;
   }
   else {
-	this.log('An attempt to start a transaction ("' + description + '") was made when a transaction was already open. Open transaction_id: ' + this._transaction_id);
+	// A transaction started inside another one is nested -- it commits into its parent (so the whole lot is a single undo step)
+	// but can be rolled back on its own, back to the implicit savepoint set here
+	this.log('Started nested transaction ("' + description + '") inside the open transaction with transaction_id: ' + this._transaction_id);
+	this._resetAutoCancel();
 	this._startAttempts++;
+	this._savepoints.push(this._makeSavepoint(description,true));
 	return false;	
   }
 }
@@ -162,11 +251,52 @@ Transact.prototype.transactionStarted = function() {
   return !!this._transaction_id;
 }
 
+// Runs a function with its own transaction state, separate from any other code running at the same time
+// Method invocations on the server are already isolated from each other -- this is for other server code
+// that can run concurrently (e.g. Meteor.setInterval jobs or code called from several fibers at once)
+
+Transact.prototype.isolate = function(func) {
+  if (Meteor.isServer) {
+	return isolatedTransactionState.withValue(this._newState(),func);
+  }
+  return func();
+}
+
+// Sets a named savepoint in the open transaction, so the changes made after it can be rolled back with tx.rollbackTo(name)
+// without losing the rest of the transaction
+
+Transact.prototype.savepoint = function(name) {
+  if (!this._transaction_id) {
+	this.log('Savepoint "' + name + '" not set -- there is no transaction open.');
+	return false;
+  }
+  this._savepoints.push(this._makeSavepoint(name,false));
+  this.log('Savepoint "' + name + '" set in transaction_id: ' + this._transaction_id);
+  return true;
+}
+
+// Rolls back every change made since the most recent savepoint with this name
+// The savepoint itself is kept (so it can be rolled back to again), but savepoints set (and nested transactions started) after it are gone
+
+Transact.prototype.rollbackTo = function(name) {
+  var index = _.lastIndexOf(_.pluck(this._savepoints,'name'),name);
+  if (!this._transaction_id || index === -1) {
+	this.log('Can\'t roll back to savepoint "' + name + '" -- no savepoint with that name in the open transaction.');
+	return false;
+  }
+  this._revertToSavepoint(this._savepoints[index]);
+  this._savepoints = this._savepoints.slice(0,index + 1);
+  this._startAttempts = _.filter(this._savepoints,function(savepoint) { return savepoint.nested; }).length;
+  this.log('Rolled back to savepoint "' + name + '" in transaction_id: ' + this._transaction_id);
+  return true;
+}
+
 // Commits all the changes queued in the current transaction
 
 Transact.prototype.commit = function(txid,callback,newId) {
   if (tx.requireUser && !Meteor.userId()) {
 	this.log('User must be logged in to commit a transaction.');
+	this._callback(txid,callback,new Meteor.Error('not-logged-in','User must be logged in to commit a transaction.'),false);
 	return;
   }
   this._lastTransactionData = {};
@@ -182,19 +312,21 @@ Transact.prototype.commit = function(txid,callback,newId) {
 	  this.log("Forced commit");
 	}
 	else {
-	  this._startAttempts--;
+	  this._closeNested();
 	  this._callback(txid,callback,new Meteor.Error('multiple-transactions-open','More than one transaction open. Closing one now to leave ' + this._startAttempts + ' transactions open.'),false);
 	  return;
 	}
   }
   if (this._startAttempts > 0 && !(!_.isFunction(txid) && typeof txid !== 'undefined' && (txid === this._transaction_id || txid === null))) {
-	this._startAttempts--;
-	this._callback(txid,callback,new Meteor.Error('multiple-transactions-open','More than one transaction open. Closing one now to leave ' + this._startAttempts + ' transactions open.'),false);
+	// The changes made in a nested transaction stay queued in the parent, to be committed (or rolled back) along with it
+	this._closeNested();
+	this.log('Nested transaction committed into transaction_id: ' + this._transaction_id + ' (' + this._startAttempts + ' nested transactions still open)');
+	this._callback(txid,callback,null,true);
 	return;	
   }
   if (_.isEmpty(this._items) && _.isEmpty(this._executionStack)) { // Have to do both checks in case of instant inserts that put nothing on this._executionStack but add to this._items
 	// Don't record the transaction if nothing happened
-	Transactions.remove({_id:this._transaction_id});
+	this._removeTransaction(this._transaction_id);
 	this.log('Empty transaction removed: ' + this._transaction_id);
   }
   else if (this._rollback) {
@@ -214,17 +346,25 @@ Transact.prototype.commit = function(txid,callback,newId) {
 		suppressError = false;
 		break;
 	}
-	this.rollback();
+	this._rollbackTransaction();
 	this._callback(txid,callback,new Meteor.Error(error,errorDescription),false);
 	return;
   }
+  else if (!this._runHooks('before','commit',this._transactionRecord(),this._items)) {
+	this.log('Commit vetoed by a hook: ' + this._transaction_id);
+	this._rollbackTransaction();
+	this._callback(txid,callback,new Meteor.Error('transaction-vetoed','The transaction was vetoed before it was committed, so it was rolled back.'),false);
+	return;
+  }
   else {
 	this.log('Beginning commit with transaction_id: ' + this._transaction_id);
 	var newIdValues = [];
+	var finalizing = null;
 	// console.log("Items in the stack: ",this._executionStack);
 	try {
-	  // It would be good to update the database with the info about what we're going to try before trying it, so if there's a fatal error we can take a look at what might have caused it
-	  // However, that data's not available until after the items on the exectution stack have been executed
+	  // Phase one -- on the server, each write is recorded against the transaction (and its document given a pending marker) before it's made
+	  // so if the server goes down part way through the execution stack, the recovery routine knows what needs to be rolled back
+	  this._setState(this._transaction_id,'applying');
 	  while(this._executionStack.length) {
 		possibleNewId = this._executionStack.shift().call();
 		if (_.isString(possibleNewId)) {
@@ -237,93 +377,95 @@ Transact.prototype.commit = function(txid,callback,newId) {
 	  else if (newIdValues.length > 1) {
 		newId = newIdValues;	
 	  }
-	  Transactions.update({_id:this._transaction_id},{$set:_.extend({context:this._context},{items:this._items})});
+	  // The client never sets pending markers, so there is no second phase for transactions committed there
+	  finalizing = this._finalizeTransaction(this._transaction_id,{context:this._context,items:this._items,state:(Meteor.isServer) ? 'applied' : 'done'});
 	  this._lastTransactionData.writes = this._items;
 	}
 	catch(err) {
 	  this.log(err);
 	  this.log("Rolling back changes");
-	  this.rollback();
+	  this._rollbackTransaction();
 	  this._callback(txid,callback,new Meteor.Error('error','An error occurred, so transaction was rolled back.',err),false);
 	  return; 
 	}
+	// Phase two -- every write has been made and recorded, so the pending markers can come off the documents
+	this._completeCommit(this._transaction_id,this._items);
+	this._trimStacks(this._transaction_id);
+	this._runHooks('after','commit',this._transactionRecord(),this._items);
   }
   this._cleanReset();
   this.log("Commit reset transaction manager to clean state");
-  this._callback(txid,callback,null,newId || true);
+  var self = this;
+  var lastTransactionData = this._lastTransactionData;
+  this._whenFinalized(finalizing,function(err) {
+	self._callback(txid,callback,err,(err) ? false : newId || true,lastTransactionData);
+  });
   return true; // A flag that at least one action was executed
 }
 
-// You can programatically call a rollback if you need to
+// Promise form of tx.commit -- resolves with {transaction_id:<string>, writes:<object>, result:<new _id value(s) or true>}
+// or rejects with the Meteor.Error that tx.commit would pass to its callback (nothing is returned where promises aren't available)
 
-Transact.prototype.rollback = function() {
-  // Need to undo all the instant stuff that's been done
+Transact.prototype.commitAsync = function(txid) {
   var self = this;
-  var items = this._items;
-  var error = false;
-  if (_.isArray(items.removed)) {
-	_.each(items.removed, function(obj) {
-	  if (obj.instant) {
-		try {
-		  if (obj.doc) {
-			// This was removed from the collection, we need to reinsert it
-			tx.collectionIndex[obj.collection].insert(obj.doc);
-		  }
-		  else {
-			// This was soft deleted, we need to remove the deleted field
-			tx.collectionIndex[obj.collection].update({_id:obj._id},{$unset:{deleted:1,transaction_id:self._transaction_id}});
-		  }
-		  self.log('Rolled back remove');
-		}
-		catch (err) {
-		  self.log(err);
-		  error = true;
-		}
-	  }
-	});
-  }
-  if (_.isArray(items.updated)) {
-	_.each(items.updated, function(obj) {// console.log("Undoing update: ", obj);
-	  if (obj.instant && typeof obj.inverse !== 'undefined' && obj.inverse.command && obj.inverse.data) {
-		var operation = {};
-		operation[obj.inverse.command] = self._unpackageForUpdate(obj.inverse.data); // console.log(operation);
-		try {  
-		  tx.collectionIndex[obj.collection].update({_id:obj._id},operation);
-		  self.log('Rolled back update');
-		}
-		catch (err) {
-		  self.log(err);
-		  error = true;
-		}
-	  }
-	});
-  }
-  if (_.isArray(items.inserted)) {
-	_.each(items.inserted, function(obj) {
-	  if (obj.instant) {
-		var sel = {_id:obj._id};
-		// This transaction_id check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
-		sel.transaction_id = self._transaction_id;
-		try {
-		  tx.collectionIndex[obj.collection].remove(sel);
-		  self.log('Rolled back insert');
-		}
-		catch (err) {
-		  self.log(err);
-		  error = true;
-		}
-	  }
+  return this._promise(function(done) {
+	self.commit(txid,function(err,res) {
+	  done(err,_.extend({result:res},this));
 	});
+  });
+}
+
+// You can programatically call a rollback if you need to
+// Inside a nested transaction, only the changes made since the nested transaction was started are rolled back
+// Returns false if a before rollback hook vetoed the rollback
+
+Transact.prototype.rollback = function() {
+  var index = _.lastIndexOf(_.pluck(this._savepoints,'nested'),true);
+  if (this._transaction_id && index !== -1) {
+	this._revertToSavepoint(this._savepoints[index]);
+	this._savepoints = this._savepoints.slice(0,index);
+	this._startAttempts--;
+	this.log("Rolled back nested transaction (" + this._startAttempts + " nested transactions still open)");
+	return true;
   }
-  if (error) {
-	this.log("Rollback failed -- you'll need to check your database manually for corrupted records.");
-	this.log("Here is a log of the actions that were tried and their inverses:");
-	this.log("(it was probably one of the inverse actions that caused the problem here)");
-	this.log(items);	
-  }
-  Transactions.remove({_id:this._transaction_id});
-  self._cleanReset();
-  this.log("Rollback reset transaction manager to clean state");
+  return this._rollbackTransaction(true);
+}
+
+// Declares which documents depend on others, so that removing a document removes its dependents in the same transaction
+// e.g. tx.relations({posts:{comments:'postId'},comments:{likes:'commentId'}}) -- removing a post removes every comment whose postId is
+// the post's _id, and every like of those comments, to any depth. Undoing the remove restores all of them together
+// Can be called more than once -- the relations are added to those already declared. Returns all the declared relations
+
+Transact.prototype.relations = function(relations) {
+  var self = this;
+  _.each(relations, function(dependents,collectionName) {
+	self._relations[collectionName] = _.extend(self._relations[collectionName] || {},dependents);
+  });
+  return this._relations;
+}
+
+// Registers a function to be called before a transaction is committed or rolled back, or before a transaction is undone or redone
+// "event" is one of "commit", "rollback", "undo" or "redo" and the function gets the transaction document and its items
+// (for "commit", only the instant actions have been recorded in the items at this point)
+// Returning false vetoes the commit (the transaction is rolled back instead), undo, redo or rollback (except for rollbacks that are forced
+// by a failed permission check or an error, or that happen when a transaction is cancelled after tx.idleTimeout)
+// Hooks run wherever the operation runs -- on the client, on the server or (for undo and redo) both
+// Returns an object with a remove method that unregisters the function
+
+Transact.prototype.before = function(event,func) {
+  return this._addHook('before',event,func);
+}
+
+// Registers a function to be called after a transaction is committed, rolled back, undone or redone (takes the same arguments as tx.before)
+
+Transact.prototype.after = function(event,func) {
+  return this._addHook('after',event,func);
+}
+
+// Same as tx.after
+
+Transact.prototype.on = function(event,func) {
+  return this._addHook('after',event,func);
 }
 
 // Queue an insert
@@ -342,12 +484,12 @@ Transact.prototype.insert = function(collection,newDoc,opt,callback) {
   // NOTE: "collection" is the collection object itself, not a string
   if (this._permissionCheckOverridden(opt) || this._permissionCheck("insert",collection,newDoc,{})) {
 	var self = this;
-	this._openAutoTransaction('add ' + collection._name.slice(0, - 1));
+	this._openAutoTransaction('add ' + collection._name.slice(0, - 1),opt);
 	self._setContext((opt && opt.context) || self.makeContext('insert',collection,newDoc,{}));
 	if ((typeof opt !== 'undefined' && opt.instant) || this._autoTransaction) {
 	  try {
-		var newId = doInsert(collection,_.extend(newDoc,{transaction_id:self._transaction_id}),opt,callback);
-		self._pushToRecord("inserted",collection,newId,{newDoc:newDoc},true); // true is to mark this as an instant change
+		var newId = doInsert(collection,_.extend(newDoc,{transaction_id:self._transaction_id}),true,opt,callback);
+		self._pushToRecord("inserted",collection,newId,{newDoc:newDoc,fields:self._docFields(newDoc)},true); // true is to mark this as an instant change
 		this._closeAutoTransaction(opt,callback,newId);
 		this.log("Executed instant insert");
 		return newId;
@@ -360,8 +502,8 @@ Transact.prototype.insert = function(collection,newDoc,opt,callback) {
 	  }
 	}
 	this._executionStack.push(function() {
-	  var newId = doInsert(collection,_.extend(newDoc,{transaction_id:self._transaction_id}),opt,callback);
-	  self._pushToRecord("inserted",collection,newId,{newDoc:newDoc});
+	  var newId = doInsert(collection,_.extend(newDoc,{transaction_id:self._transaction_id}),false,opt,callback);
+	  self._pushToRecord("inserted",collection,newId,{newDoc:newDoc,fields:self._docFields(newDoc)});
 	  self.log("Executed insert");
 	  return newId;
 	});
@@ -376,14 +518,29 @@ Transact.prototype.insert = function(collection,newDoc,opt,callback) {
 	return;	
   }
   
-  function doInsert(collection,newDoc,opt,callback) {
+  function doInsert(collection,newDoc,instant,opt,callback) {
+	var docToInsert = newDoc;
+	if (Meteor.isServer) {
+	  // Two-phase commit -- the insert is recorded against the transaction before it's made and the new doc carries a pending marker
+	  if (!newDoc._id) {
+		newDoc._id = collection._makeNewID();
+	  }
+	  self._recordPending("inserted",collection,newDoc._id,{newDoc:newDoc,fields:self._docFields(newDoc)},instant);
+	  docToInsert = _.extend({pending_transactions:[self._transaction_id]},newDoc);
+	}
+	else if (self.serverAuthoritative) {
+	  if (!newDoc._id) {
+		newDoc._id = collection._makeNewID();
+	  }
+	  self._prepareOnServer("inserted",collection,newDoc._id,{newDoc:newDoc},instant);
+	}
 	// The following is a very sketchy attempt to support collection2 options
 	// Still requires aldeed:collection2 to be after babrahams:transactions in .packages
 	if (_.isFunction(collection.attachSchema) && _.find(["validationContext","validate","filter","autoConvert","removeEmptyStrings","getAutoValues","replace","upsert","extendAutoValueContext","trimStrings","extendedCustomContext","transform"],function(c2option){ return typeof opt[c2option] !== "undefined";})) {
 	  // This is a brutal workaround to allow collection2 `filter:false` to do its work
 	  var newId = null;
 	  var error = null;
-	  collection.insert(newDoc,opt,function(err,newId) { 
+	  collection.insert(docToInsert,opt,function(err,newId) { 
 		if (!err) {
 		  newId = newId;	
 		}
@@ -402,7 +559,7 @@ Transact.prototype.insert = function(collection,newDoc,opt,callback) {
 	  }
 	}
 	else {
-	  return collection.insert(newDoc,callback);
+	  return collection.insert(docToInsert,callback);
 	}
   }
 }
@@ -421,11 +578,20 @@ Transact.prototype.remove = function(collection,doc,opt,callback) {
   if (opt && _.isObject(opt.tx)) {
 	opt = opt.tx;
   }
+  if (this._isSelector(doc)) {
+	// Like a regular mongo remove, a selector removes every document it matches
+	return this._multiAction('remove',collection,this._targetDocs(collection,doc,true,true),null,opt,callback);
+  }
   var _id = (_.isObject(doc)) ? doc._id : doc;
-  var existingDoc = (!_.isObject(doc)) ? collection.findOne({_id:doc}) : doc;
+  var existingDoc = (!_.isObject(doc)) ? collection.findOne({_id:doc},{includeDeleted:true}) : doc;
   if (this._permissionCheckOverridden(opt) || this._permissionCheck("remove",collection,existingDoc,{})) {
 	var self = this;
-	this._openAutoTransaction('remove ' + collection._name.slice(0, - 1));
+	this._openAutoTransaction('remove ' + collection._name.slice(0, - 1),opt);
+	this._removed[collection._name + ':' + _id] = true;
+	if (!(opt && opt.cascade === false)) {
+	  // Dependents declared with tx.relations are removed first
+	  this._cascadeRemove(collection,_id,opt);
+	}
 	var sel = {_id:_id};
 	if (Meteor.isServer) {
 	  sel.deleted = {$exists: false}; // Can only do removes on client using a simple _id selector
@@ -465,14 +631,38 @@ Transact.prototype.remove = function(collection,doc,opt,callback) {
 	  callback = undefined;  
 	}
 	if (opt && ((typeof opt.softDelete !== 'undefined' && opt.softDelete) || (typeof opt.softDelete === 'undefined' && tx.softDelete))) {
-	  self._pushToRecord("removed",collection,_id,null,instant);
-	  collection.update(sel,{$set:{deleted:(new Date).getTime(),transaction_id:self._transaction_id}},callback);
+	  var deleted = (new Date).getTime();
+	  var modifier = {$set:{deleted:deleted,transaction_id:self._transaction_id}};
+	  var record = {fields:['deleted'],values:[{key:'deleted',value:deleted}]};
+	  if (Meteor.isServer) {
+		// Two-phase commit -- record the remove before making it and mark the doc as pending
+		self._recordPending("removed",collection,_id,record,instant);
+		modifier.$addToSet = {pending_transactions:self._transaction_id};
+	  }
+	  else if (self.serverAuthoritative) {
+		self._prepareOnServer("removed",collection,_id,{softDelete:true},instant);
+	  }
+	  collection.update(sel,modifier,callback);
+	  self._pushToRecord("removed",collection,_id,record,instant);
 	  return;
 	}
 	// Hard delete document
-	var fullDoc = collection.findOne(sel);
-	self._pushToRecord("removed",collection,_id,{doc:fullDoc},instant); // null is for field data (only used for updates) and true is to mark this as an instant change
+	var fullDoc = collection.findOne(sel,{includeDeleted:true});
+	if (fullDoc) {
+	  // An earlier write in this transaction may have left its pending marker on the doc, and once the doc is gone there's nothing
+	  // to clear it from -- so it's kept out of the snapshot, or the doc would come back with a marker that's never taken off
+	  fullDoc = _.omit(fullDoc,'pending_transactions');
+	}
+	var snapshot = (fullDoc && Meteor.isServer && self.snapshotStore) ? {snapshot:self.snapshotStore.save(fullDoc)} : {doc:fullDoc};
+	if (Meteor.isServer) {
+	  // There's nothing left to mark after a hard delete, so recovery checks whether the doc is still there instead
+	  self._recordPending("removed",collection,_id,snapshot,instant);
+	}
+	else if (self.serverAuthoritative) {
+	  self._prepareOnServer("removed",collection,_id,{softDelete:false},instant);
+	}
 	collection.remove(sel,callback);
+	self._pushToRecord("removed",collection,_id,snapshot,instant); // null is for field data (only used for updates) and true is to mark this as an instant change
   }
 }
 
@@ -487,94 +677,73 @@ Transact.prototype.update = function(collection,doc,updates,opt,callback) {
   // We need to pass the options object when we do the actual update
   // But also need to identify any callback functions
   var callback = (_.isFunction(callback)) ? callback : ((typeof opt !== 'undefined') ? ((_.isFunction(opt)) ? opt : ((_.isFunction(opt.callback)) ? opt.callback : undefined)) : undefined);
+  var multi = !!(opt && (opt.multi || (_.isObject(opt.tx) && opt.tx.multi)));
+  var upsert = !!(opt && (opt.upsert || (_.isObject(opt.tx) && opt.tx.upsert)));
+  var returnObject = !!(opt && opt._returnObject); // Set when this comes through Mongo.Collection.prototype.upsert
   if (opt && _.isObject(opt.tx)) {
 	opt = opt.tx;
   }
   var opt = (_.isObject(opt)) ? _.omit(opt,'tx') : undefined;
   var self = this;
+  if (upsert) {
+	return this._upsert(collection,doc,updates,multi,returnObject,opt,callback);
+  }
+  if (this._isSelector(doc)) {
+	// Each matched document (only the first one, unless {multi:true} is passed) is updated with its own inverse
+	return this._multiAction('update',collection,this._targetDocs(collection,doc,multi),updates,opt,callback,doc);
+  }
+  var arrayFilters = opt && opt.arrayFilters;
+  opt = (opt) ? _.omit(opt,'arrayFilters') : undefined;
   var _id = (_.isObject(doc)) ? doc._id : doc;
-  var existingDoc = collection.findOne({_id:_id});
+  var existingDoc = collection.findOne({_id:_id},{includeDeleted:true});
   // var existingDoc = (!_.isObject(doc)) ? collection.findOne({_id:_id}) : doc;
   // the above is slightly more efficient, in that it doesn't hit the database again
   // but potential buggy behaviour if a partial doc is passed and the field being updated
   // isn't in it and it's a $set command and so the inverse is wrongly taken to be $unset
+  if (this._isReplacement(updates)) {
+	// A modifier with no operators in it replaces the whole document, so it's turned into the $set and $unset that have the same effect
+	// That way the inverse restores the full previous document and a redo makes exactly the same replacement again
+	updates = this._replacementModifier(existingDoc,updates);
+  }
+  // The update is made using the _id value only, so positional field names need resolving against the original selector first
+  updates = this._resolvePositional(existingDoc,(_.isObject(doc) && !(doc instanceof Mongo.ObjectID)) ? doc : {_id:_id},updates,arrayFilters);
   if (this._permissionCheckOverridden(opt) || this._permissionCheck("update", collection, existingDoc, updates)) {
-	this._openAutoTransaction('update ' + collection._name.slice(0, - 1));
-	var actionFields = _.pairs(updates); // console.log(actionField);
-	var actionFieldsCount = actionFields.length;
-	for (var i = 0; i < actionFieldsCount; i++) {
-	  var command = actionFields[i][0]; // console.log("command:",command);
-	  var updateMap = actionFields[i][1]; // console.log("updateMap:",updateMap);
-	  if (typeof opt === 'undefined' || typeof opt.inverse === 'undefined') {
-		// This "opt.inverse" thing is only used if you need to define some tricky inverse operation, but will probably not be necessary in practice
-		// a custom value of opt.inverse needs to be an object of the form:
-		// {command:"$set",data:{fieldName:value}}
-		// var fieldName = _.keys(actionField[0][1])[0]; // console.log(fieldName);
-		if (typeof opt === 'undefined') {
-		  opt = {};	
-		}
-		var inverseCommand = this._inverseOps[command];
-		var formerValues = {};
-		switch (inverseCommand) { // In case we need to do something special to make the inverse happen
-		  default :
-			// TODO
-		  case '$inc' :
-		  case '$unset' :
-		  case '$set' :
-			_.each(_.keys(updateMap), function(keyName) {
-			  var formerVal = self._drillDown(existingDoc,keyName);
-			  if (typeof formerVal !== 'undefined') {
-				formerValues[keyName] = formerVal;
-			  }
-			  else {
-				inverseCommand = '$unset';
-				formerValues[keyName] = '';
-			  }
-			});
-			break;
-		  case '$pull' :
-			formerValues = updateMap;
-			break;
-		  /*case '$push' :
-			formerValues = updateMap;
-			break;*/
-		  case '$addToSet' :
-			formerValues = updateMap;
-			break;
-		  case '$pullAll' :
-			// TODO
-			break;
-		  case '$pushAll' :
-			// TODO
-			break;
-		}
-		var inverse = {command:inverseCommand,data:formerValues}; // console.log("inverse op: ",opt.inverse);
-	  }
-	  else {
-		var inverse = opt.inverse;	
-	  }
-	  self._setContext((opt && opt.context) || self.makeContext('update',collection,existingDoc,updates));
-	  var updateData = {command:command, data:updateMap};
-	  if (opt && opt.instant) {
-		try {
-		  makeUpdate(collection,_id,updates,updateData,inverse,true,opt,callback);
-		  this.log("Executed instant update"); // true param is to record this as an instant change
-		}
-		catch(err) {
-		  this.log(err);
-		  this.log("Rollback initiated by instant update command");
-		  this._rollback = true;
-		  this._rollbackReason = 'update-error';
-		}
+	this._openAutoTransaction('update ' + collection._name.slice(0, - 1),opt);
+	if (typeof opt === 'undefined') {
+	  opt = {};	
+	}
+	if (typeof opt.inverse === 'undefined') {
+	  var inverse = this._inverseUpdate(existingDoc,updates);
+	}
+	else {
+	  // This "opt.inverse" thing is only used if you need to define some tricky inverse operation, but will probably not be necessary in practice
+	  // a custom value of opt.inverse needs to be an object of the form:
+	  // {command:"$set",data:{fieldName:value}} (or an array of these, if the inverse needs more than one command)
+	  var inverse = opt.inverse;	
+	}
+	self._setContext((opt && opt.context) || self.makeContext('update',collection,existingDoc,updates));
+	var updateData = _.map(_.pairs(updates), function(actionField) {
+	  return {command:actionField[0], data:actionField[1]};
+	});
+	if (opt && opt.instant) {
+	  try {
+		makeUpdate(collection,_id,updates,updateData,inverse,true,opt,callback);
+		this.log("Executed instant update"); // true param is to record this as an instant change
 	  }
-	  else {
-		this._executionStack.push(function() {
-		  makeUpdate(collection,_id,updates,updateData,inverse,false,opt,callback);
-		  self.log("Executed update");
-		});
-		this.log("Pushed update command to stack: " + this._transaction_id); //  + ' (Auto: ' + this._autoTransaction + ')'
+	  catch(err) {
+		this.log(err);
+		this.log("Rollback initiated by instant update command");
+		this._rollback = true;
+		this._rollbackReason = 'update-error';
 	  }
 	}
+	else {
+	  this._executionStack.push(function() {
+		makeUpdate(collection,_id,updates,updateData,inverse,false,opt,callback);
+		self.log("Executed update");
+	  });
+	  this.log("Pushed update command to stack: " + this._transaction_id); //  + ' (Auto: ' + this._autoTransaction + ')'
+	}
 	this._closeAutoTransaction(opt,callback);
 	return !this._rollback; // Update was executed or queued for execution
   }
@@ -589,12 +758,22 @@ Transact.prototype.update = function(collection,doc,updates,opt,callback) {
 	if (!_.isFunction(callback)) {
 	  callback = undefined;
 	}
+	var record = {update:self._packageForStorage(updateData),inverse:self._packageForStorage(inverseData),fields:self._touchedFields(updates)};
+	var addedSet = !_.isObject(updates["$set"]);
 	if (_.isObject(updates["$set"])) {
 	  _.extend(updates["$set"], {transaction_id:self._transaction_id});
 	}
 	else {
 	  updates["$set"] = {transaction_id:self._transaction_id};
 	}
+	if (Meteor.isServer) {
+	  // Two-phase commit -- record the update before making it and mark the doc as pending
+	  self._recordPending("updated",collection,_id,record,instant);
+	  updates["$addToSet"] = _.extend(updates["$addToSet"] || {},{pending_transactions:self._transaction_id});
+	}
+	else if (self.serverAuthoritative) {
+	  self._prepareOnServer("updated",collection,_id,{updates:self._modifierFromRecord(record.update)},instant);
+	}
 	// This error, handler business is to allow collection2 `filter:false` to do its work
 	var error = null;
 	var handler = function(err,res) {
@@ -611,12 +790,23 @@ Transact.prototype.update = function(collection,doc,updates,opt,callback) {
 	else {
 	  collection.update({_id:_id},updates,handler);	
 	}
+	if (Meteor.isServer) {
+	  delete updates["$addToSet"].pending_transactions;
+	  if (_.isEmpty(updates["$addToSet"])) {
+		delete updates["$addToSet"];
+	  }
+	}
 	if (error) {
 	  throw new Meteor.Error('Update failed: ' + error.message, error.reason);
 	  return;
 	}
 	delete updates["$set"].transaction_id;
-	self._pushToRecord("updated",collection,_id,{update:self._packageForStorage(updateData),inverse:self._packageForStorage(inverseData)},instant);
+	if (addedSet) {
+	  delete updates["$set"];
+	}
+	// The values written are kept so that undo can tell whether anything has changed these fields since
+	record.values = self._fieldValues(collection.findOne({_id:_id},{includeDeleted:true}),record.fields);
+	self._pushToRecord("updated",collection,_id,record,instant);
   }
   
 }
@@ -631,153 +821,1687 @@ Transact.prototype.cancel = function() {
 }
 
 // Undo the last transaction by the user
+// Pass a transaction_id to undo that transaction, or {scope:<string>} to undo the last transaction in that scope
+// The result is {transaction_id:<string>, description:<string>, documents:[{collection:<string>, _id:<string>, action:<string>}, ...]}
+// It goes to the callback (if one is given) and resolves the returned promise (if promises are available) -- a failure is a Meteor.Error with the
+// error code "not-logged-in", "nothing-to-undo", "not-found", "permission-denied", "transaction-expired", "undo-vetoed" or "undo-failed"
+// If there's no callback, tx.onTransactionExpired is called when the transaction has expired
 
-Transact.prototype.undo = function( id ) {
+Transact.prototype.undo = function( id, callback ) {
   var self = this;
-  Meteor.call("_meteorTransactionsUndo", id, function(err,res) {
-	if (Meteor.isClient && res) {
-	  self.onTransactionExpired.call();
-	}
+  if (_.isFunction(id)) {
+	callback = id;
+	id = null;
+  }
+  var options = (_.isObject(id)) ? id : {};
+  id = (_.isString(id)) ? id : null;
+  return this._promise(function(done) {
+	Meteor.call("_meteorTransactionsUndo", id, options, function(err,res) {
+	  self._undoRedoCallback(err,res,callback);
+	  done(err,res);
+	});
   });
 }
 
 // Redo the last transaction undone by the user
+// Takes the same arguments as tx.undo and gives the same result (the error codes are "nothing-to-redo", "redo-vetoed" and "redo-failed" instead of "nothing-to-undo", "undo-vetoed" and "undo-failed")
 
-Transact.prototype.redo = function( id ) {
+Transact.prototype.redo = function( id, callback ) {
   var self = this;
-  Meteor.call("_meteorTransactionsRedo", id, function(err,res) {
-	if (Meteor.isClient && res) {
-	  self.onTransactionExpired.call();  
-	}
+  if (_.isFunction(id)) {
+	callback = id;
+	id = null;
+  }
+  var options = (_.isObject(id)) ? id : {};
+  id = (_.isString(id)) ? id : null;
+  return this._promise(function(done) {
+	Meteor.call("_meteorTransactionsRedo", id, options, function(err,res) {
+	  self._undoRedoCallback(err,res,callback);
+	  done(err,res);
+	});
   });
 }
 
-// **********************************************************
-// INTERNAL METHODS - NOT INTENDED TO BE CALLED FROM APP CODE
-// **********************************************************
-
-// This is used to check that the document going into the transactions collection has all the necessary fields
+// Undoes (or redoes) every transaction back to the given one, one at a time and in order
+// If the transaction hasn't been undone, it's undone along with every transaction made after it -- otherwise it's redone along with every
+// transaction undone after it. Pass {scope:<string>} as options to stay in a single undo stack
+// If one of the steps fails (e.g. because it has expired), the ones after it aren't attempted -- the callback gets an error whose details
+// say which step failed, as {transaction_id:<string>, description:<string>, step:<number>, steps:<number>}
 
-Transact.prototype._checkTransactionFields = function (modifier) {
- // Iterate over all the items that are going to be stored on the transaction stack and check their legitimacy
- var self = this,details,recombinedFields = {};
- var fields = modifier["$set"];
- if (!fields) {
-   return false;
- }
- var items = fields.items;
- if (!items || _.isEmpty(items)) {
-   return false; 
- }
- var action,collection,doc, fail = false;
- _.each(items,function(val,key) {
-   _.each(val, function(value) {
-	 if (value.update) {
-	   action = 'update';
-	   details = value.update;
-	   recombinedFields[details.command] = self._unpackageForUpdate(details.data);
-	 }
-	 else if (value.insert) {
-	   action = 'insert';  
-	 }
-	 else if (value.remove) {
-	   action = 'remove';   
-	 }
-	 collection = value.collection;
-	 doc = self.collectionIndex[collection].findOne({_id:value._id});
-	 if (!self._permissionCheck(action,self.collectionIndex[collection],doc,recombinedFields)) {
-	   fail = true;
-	 }
-   });
- });
- this._cleanReset(); // console.log("Fail: ",fail);
- return !fail;
+Transact.prototype.jumpTo = function(transaction_id, options, callback) {
+  var self = this;
+  if (_.isFunction(options)) {
+	callback = options;
+	options = {};
+  }
+  options = options || {};
+  callback = (_.isFunction(callback)) ? callback : function() {};
+  var transaction = Transactions.findOne({_id:transaction_id});
+  var undo = !!transaction && !transaction.undone;
+  var stack = (undo) ? this.undoStack({scope:options.scope}) : this.redoStack({scope:options.scope});
+  var index = _.indexOf(_.pluck(stack,'transaction_id'),transaction_id);
+  if (!transaction || index === -1) {
+	callback(new Meteor.Error('not-found','That transaction can\'t be ' + ((undo) ? 'undone' : 'redone') + '.'),false);
+	return;
+  }
+  var steps = stack.slice(0,index + 1);
+  var takeStep = function(i) {
+	if (i === steps.length) {
+	  self.log((undo) ? 'Undid ' + steps.length + ' transactions' : 'Redid ' + steps.length + ' transactions');
+	  callback(null,true);
+	  return;
+	}
+	self[(undo) ? 'undo' : 'redo'](steps[i].transaction_id,function(err) {
+	  if (err) {
+		var details = {transaction_id:steps[i].transaction_id,description:steps[i].description,step:i + 1,steps:steps.length};
+		self.log('Stopped at step ' + details.step + ' of ' + details.steps + ' ("' + details.description + '"): ' + err.reason);
+		callback(new Meteor.Error(err.error,'Stopped at step ' + details.step + ' of ' + details.steps + ' ("' + details.description + '"): ' + err.reason,details),false);
+		return;
+	  }
+	  takeStep(i + 1);
+	});
+  };
+  takeStep(0);
 }
 
-// Reset everything to a clean state
+// Makes Ctrl/Cmd+Z undo and Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo -- client only
+// Options are {scope:<string>} to undo and redo in a single undo stack, and {allowInEditableElements:true} to let the shortcuts work while
+// the focus is in an input, textarea or contenteditable element (by default, these are left to the browser's own undo and redo)
+// Returns a function that unbinds the shortcuts again
 
-Transact.prototype._cleanReset = function() {
-  this._transaction_id = null;
-  this._autoTransaction = false;
-  this._items = {};
-  this._executionStack = [];
-  this._startAttempts = 0;
-  this._granted = {};
-  this._rollback = false;
-  this._rollbackReason = '';
-  this._context = {};
-  // Note: we don't reset this._lastTransactionData because we want it to be available AFTER the commit
-  if (Meteor.isServer) {
-	Meteor.clearTimeout(this._autoCancel);
+Transact.prototype.bindKeyboardShortcuts = function(options) {
+  if (!Meteor.isClient) {
+	this.log('Keyboard shortcuts can only be bound on the client.');
+	return;
   }
+  var self = this;
+  options = options || {};
+  var running = false;
+  var handler = function(evt) {
+	if (!(evt.ctrlKey || evt.metaKey) || evt.altKey) {
+	  return;
+	}
+	var action = (evt.which === 90) ? ((evt.shiftKey) ? 'redo' : 'undo') : ((evt.which === 89 && !evt.shiftKey) ? 'redo' : null);
+	if (!action || (!options.allowInEditableElements && self._isEditableElement(evt.target))) {
+	  return;
+	}
+	evt.preventDefault();
+	// Holding the keys down shouldn't queue up undo after undo before the first one has come back
+	if (running) {
+	  return;
+	}
+	running = true;
+	self[action]({scope:options.scope},function(err) {
+	  running = false;
+	  if (err && err.error === 'transaction-expired') {
+		self.onTransactionExpired.call();
+	  }
+	  else if (err && !_.contains(['nothing-to-undo','nothing-to-redo'],err.error)) {
+		self.log(err);
+	  }
+	});
+  };
+  $(document).on('keydown',handler);
+  return function() {
+	$(document).off('keydown',handler);
+  };
 }
 
-Transact.prototype._callback = function(a,b,err,res) {
-  var c = (_.isFunction(a)) ? a : ((_.isFunction(b)) ? b : null);
-  if (c) {
-	c.call(this._lastTransactionData,err,res);
-  }  
+// The transaction that tx.undo() would undo next, or undefined if there isn't one
+// Pass {scope:<string>} to look in a single undo stack
+// Reactive on the client -- the returned object has transaction_id, description, timestamp, context and scope fields
+
+Transact.prototype.nextUndo = function(options) {
+  return this.undoStack(_.extend({},options,{limit:1}))[0];
 }
 
-// Starts a transaction automatically if one isn't started already
+// The transaction that tx.redo() would redo next, or undefined if there isn't one (reactive, as for tx.nextUndo)
 
-Transact.prototype._openAutoTransaction = function(description) {// console.log("Auto open check value for transaction_id: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
-  if (!this._transaction_id) {
-	this._autoTransaction = true;
-	this.start(description);
-	// console.log("Auto opened: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
-  }
+Transact.prototype.nextRedo = function(options) {
+  return this.redoStack(_.extend({},options,{limit:1}))[0];
 }
 
-// Commits a transaction automatically if it was started automatically
+// Whether there's anything for tx.undo() to undo (reactive, as for tx.nextUndo)
 
-Transact.prototype._closeAutoTransaction = function(opt,callback,newId) {// console.log("Auto commit check value for autoTransaction: " + this._autoTransaction + ' (Auto: ' + this._autoTransaction + ')');
-  if (this._autoTransaction) {
-	this.log("Auto committed: " + this._transaction_id); // + ' (Auto: ' + this._autoTransaction + ')';
-	this.commit(opt,undefined,newId);	
+Transact.prototype.canUndo = function(options) {
+  return !!this.nextUndo(options);
+}
+
+// Whether there's anything for tx.redo() to redo (reactive, as for tx.nextUndo)
+
+Transact.prototype.canRedo = function(options) {
+  return !!this.nextRedo(options);
+}
+
+// The transactions that can be undone, most recent first
+// Pass {limit:<number>} to get only that many, and {scope:<string>} to look in a single undo stack (reactive, as for tx.nextUndo)
+
+Transact.prototype.undoStack = function(options) {
+  options = options || {};
+  return _.map(Transactions.find(this._undoableSelector(options.scope),this._stackOptions({timestamp:-1},options.limit)).fetch(),this._summarizeTransaction);
+}
+
+// The transactions that can be redone, most recently undone first (takes the same options as tx.undoStack)
+
+Transact.prototype.redoStack = function(options) {
+  options = options || {};
+  return _.map(Transactions.find(this._redoableSelector(options.scope),this._stackOptions(this._redoSort(),options.limit)).fetch(),this._summarizeTransaction);
+}
+
+// Lists every action on a document made through a transaction, oldest first, with the values of the fields it touched before and after
+// Server only -- "collection" can be the collection object itself or its name
+
+Transact.prototype.history = function(collection,_id) {
+  this._serverOnly('history');
+  var self = this;
+  var collectionName = (_.isString(collection)) ? collection : collection._name;
+  var history = [];
+  Transactions.find(this._touchingSelector(collectionName,_id),{sort:{timestamp:1}}).forEach(function(transaction) {
+	_.each(self._itemsFor(transaction,collectionName,_id), function(entry) {
+	  history.push(_.extend({
+		transaction_id:transaction._id,
+		timestamp:transaction.timestamp,
+		user_id:transaction.user_id,
+		description:transaction.description,
+		context:transaction.context,
+		undone:!!transaction.undone,
+		expired:!!transaction.expired
+	  },self._describeChange(entry.type,entry.item)));
+	});
+  });
+  return history;
+}
+
+// Puts a document back the way it was just after the given transaction (or at the given time, as a timestamp or Date)
+// This is done in a new transaction, so the restore can itself be undone
+// Server only -- only changes made through transactions are taken into account
+
+Transact.prototype.restore = function(collection,_id,transactionIdOrTimestamp,callback) {
+  this._serverOnly('restore');
+  var self = this;
+  if (_.isString(collection)) {
+	collection = this.collectionIndex[collection];
+  }
+  var pointInTime;
+  if (_.isNumber(transactionIdOrTimestamp) || _.isDate(transactionIdOrTimestamp)) {
+	pointInTime = (_.isDate(transactionIdOrTimestamp)) ? transactionIdOrTimestamp.getTime() : transactionIdOrTimestamp;
+  }
+  else {
+	var pointTransaction = Transactions.findOne({_id:transactionIdOrTimestamp});
+	if (!pointTransaction) {
+	  throw new Meteor.Error('transaction-not-found','No transaction found with _id: ' + transactionIdOrTimestamp);
+	}
+	pointInTime = pointTransaction.timestamp;
+  }
+  // Work back from the document as it is now, reversing every action made on it after that point
+  // Transactions that are currently undone have already been reversed
+  var currentDoc = collection.findOne({_id:_id},{includeDeleted:true});
+  var state = (currentDoc) ? EJSON.clone(currentDoc) : null;
+  var laterTransactions = Transactions.find(_.extend(this._touchingSelector(collection._name,_id),{timestamp:{$gt:pointInTime},undone:null}),{sort:{timestamp:-1}}).fetch();
+  _.each(laterTransactions, function(transaction) {
+	_.each(self._itemsFor(transaction,collection._name,_id).reverse(), function(entry) {
+	  switch (entry.type) {
+		case 'removed' :
+		  state = (entry.item.doc) ? EJSON.clone(entry.item.doc) : _.omit(state || {_id:_id},'deleted');
+		  break;
+		case 'updated' :
+		  if (state) {
+			LocalCollection._modify(state,self._modifierFromRecord(entry.item.inverse));
+		  }
+		  break;
+		case 'inserted' :
+		  state = null;
+		  break;
+	  }
+	});
+  });
+  var managedFields = ['_id','transaction_id','pending_transactions'];
+  this.start('restore ' + collection._name.slice(0, - 1));
+  if (!state && currentDoc) {
+	this.remove(collection,_id);
+  }
+  else if (state && !currentDoc) {
+	this.insert(collection,_.extend(_.omit(state,managedFields),{_id:_id}));
+  }
+  else if (state && currentDoc) {
+	var modifier = {};
+	_.each(_.omit(state,managedFields), function(value,keyName) {
+	  if (!EJSON.equals(value,currentDoc[keyName])) {
+		modifier.$set = modifier.$set || {};
+		modifier.$set[keyName] = value;
+	  }
+	});
+	_.each(_.omit(currentDoc,managedFields), function(value,keyName) {
+	  if (!_.has(state,keyName)) {
+		modifier.$unset = modifier.$unset || {};
+		modifier.$unset[keyName] = '';
+	  }
+	});
+	if (!_.isEmpty(modifier)) {
+	  this.update(collection,_id,modifier);
+	}
+  }
+  return this.commit(callback);
+}
+
+// Exports committed transactions, oldest first, as NDJSON (one EJSON document per line) or, with {format:'json'}, as an EJSON array
+// The filter can have user_id, from and to (timestamps or Dates), collection (a name) and context (an object whose fields must all match)
+// Returns the exported string, or writes it to a file if {file:<path>} is passed in the options and returns the number of transactions exported
+// Server only -- e.g. from the meteor shell: tx.exportLog({user_id:'abc',from:new Date('2015-06-01')},{file:'/tmp/transactions.ndjson'})
+
+Transact.prototype.exportLog = function(filter,options) {
+  this._serverOnly('exportLog');
+  options = options || {};
+  var self = this;
+  // Snapshots of removed documents are put into the exported records, so the log doesn't depend on this database
+  var transactions = _.map(Transactions.find(this._exportSelector(filter || {}),{sort:{timestamp:1}}).fetch(), function(transaction) {
+	return _.extend(transaction,{items:self._withSnapshots(transaction.items)});
+  });
+  var log = (options.format === 'json') ? EJSON.stringify(transactions,{indent:true}) : _.map(transactions, function(transaction) {
+	return EJSON.stringify(transaction);
+  }).join('\n');
+  if (options.file) {
+	Npm.require('fs').writeFileSync(options.file,log);
+	this.log('Exported ' + transactions.length + ' transactions to ' + options.file);
+	return transactions.length;
+  }
+  return log;
+}
+
+// Imports transactions exported by tx.exportLog into the transactions collection -- "log" can be NDJSON, a JSON array or an array of documents
+// Transactions that are already in the collection are left alone. Returns the number of transactions imported
+// Server only
+
+Transact.prototype.importLog = function(log) {
+  this._serverOnly('importLog');
+  var imported = 0;
+  _.each(this._parseLog(log), function(transaction) {
+	if (!Transactions.findOne({_id:transaction._id})) {
+	  Transactions.insert(transaction);
+	  imported++;
+	}
+  });
+  this.log('Imported ' + imported + ' transactions');
+  return imported;
+}
+
+// Reapplies the writes recorded in a transaction log (in any of the forms tx.importLog takes), oldest transaction first
+// The writes go to the collections of the same name, unless {collectionMap:{<name in the log>:<Mongo.Collection or collection name>}}
+// says otherwise. Transactions that were undone, or never finished committing, are skipped
+// The writes are made directly, not as new transactions. If one fails, the replay stops there and a Meteor.Error with the error code
+// "replay-failed" is thrown, with {transaction_id:<string>, replayed:<number>} as its details. Returns the number of transactions replayed
+// Server only
+
+Transact.prototype.replay = function(log,options) {
+  this._serverOnly('replay');
+  var self = this;
+  var collectionMap = (options && options.collectionMap) || {};
+  var replayed = 0;
+  var transactions = _.sortBy(this._parseLog(log), 'timestamp');
+  _.each(transactions, function(transaction) {
+	if (transaction.undone || _.contains(self._inFlightStates,transaction.state)) {
+	  return;
+	}
+	try {
+	  self._replayTransaction(transaction,collectionMap);
+	}
+	catch (err) {
+	  self.log(err);
+	  throw new Meteor.Error('replay-failed','Replay stopped at transaction ' + transaction._id + ' ("' + transaction.description + '").',{transaction_id:transaction._id,replayed:replayed});
+	}
+	replayed++;
+  });
+  this.log('Replayed ' + replayed + ' transactions');
+  return replayed;
+}
+
+// Applies the retention policies (see tx.retentionMaxAge, etc.) to the transactions collection, returning the number of records removed
+// Server only -- this runs every tx.retentionInterval milliseconds anyway, but can be called at any time
+// Transactions that are still open or part-way through a commit are never removed
+
+Transact.prototype.purge = function() {
+  this._serverOnly('purge');
+  var self = this;
+  var day = 24 * 60 * 60 * 1000;
+  var now = (new Date).getTime();
+  var settled = {state:{$nin:this._inFlightStates}};
+  var purged = 0;
+  var purge = function(selector) {
+	_.each(Transactions.find(_.extend({},settled,selector),{fields:{'items.removed':1}}).fetch(), function(transaction) {
+	  self._purgeTransaction(transaction);
+	  purged++;
+	});
+  };
+  if (this.retentionMaxAge) {
+	purge({timestamp:{$lt:now - (this.retentionMaxAge * day)}});
+  }
+  if (this.retentionInactiveMaxAge) {
+	purge({timestamp:{$lt:now - (this.retentionInactiveMaxAge * day)},$or:[{undone:{$exists:true, $ne:null}},{expired:true},{superseded:true}]});
+  }
+  if (this.retentionMaxPerUser) {
+	// One pass through the records, grouped by user and newest first, picks out everything after each user's first retentionMaxPerUser records
+	var user_id, count = 0, excess = [];
+	Transactions.find(settled,{sort:{user_id:1,timestamp:-1},fields:{user_id:1}}).forEach(function(transaction) {
+	  if (transaction.user_id !== user_id) {
+		user_id = transaction.user_id;
+		count = 0;
+	  }
+	  count++;
+	  if (count > self.retentionMaxPerUser) {
+		excess.push(transaction._id);
+	  }
+	});
+	if (excess.length) {
+	  purge({_id:{$in:excess}});
+	}
+  }
+  if (purged) {
+	this.log('Retention policies removed ' + purged + ' transaction records');
+  }
+  return purged;
+}
+
+// **********************************************************
+// INTERNAL METHODS - NOT INTENDED TO BE CALLED FROM APP CODE
+// **********************************************************
+
+// Some of the API depends on having the whole Transactions collection available
+
+Transact.prototype._serverOnly = function(methodName) {
+  if (!Meteor.isServer) {
+	throw new Meteor.Error('server-only','tx.' + methodName + '() can only be called on the server.');
+  }
+}
+
+// Builds a selector for the committed transactions that have an action on a particular document
+
+Transact.prototype._touchingSelector = function(collectionName,_id) {
+  var match = {$elemMatch:{collection:collectionName,_id:_id}};
+  return {state:{$nin:this._inFlightStates},$or:[{'items.inserted':match},{'items.updated':match},{'items.removed':match}]};
+}
+
+// Picks out the actions in a transaction that were made on a particular document, in the order they were made
+// The items are kept by type, so the order comes from the "seq" number each one is given when it's recorded
+// (records made before items were numbered fall back to inserts, then updates, then removes)
+
+Transact.prototype._itemsFor = function(transaction,collectionName,_id) {
+  return _.filter(this._orderedItems(this._withSnapshots(transaction.items)), function(entry) {
+	return entry.item.collection === collectionName && EJSON.equals(entry.item._id,_id);
+  });
+}
+
+// Lists a transaction's items as {type:<"inserted", "updated" or "removed">,item:<record>}, in the order the writes were made
+// Records made before items were numbered (see _makeRecord) have no seq, so they're taken as inserts, then updates, then removes
+
+Transact.prototype._orderedItems = function(items) {
+  var entries = [];
+  _.each(['inserted','updated','removed'], function(type) {
+	_.each(items && items[type], function(item) {
+	  entries.push({type:type,item:item,order:entries.length});
+	});
+  });
+  return _.sortBy(entries, function(entry) {
+	return (typeof entry.item.seq === 'number') ? entry.item.seq : entry.order;
+  });
+}
+
+// Describes a single recorded action in terms of the fields it touched and their values before and after
+// Fields missing from "before" or "after" didn't exist in the document at that point
+
+Transact.prototype._describeChange = function(type,item) {
+  var self = this;
+  var valuesToObject = function(values) {
+	var obj = {};
+	_.each(values, function(entry) {
+	  if (_.has(entry,'value')) {
+		obj[entry.key] = entry.value;
+	  }
+	});
+	return obj;
+  };
+  switch (type) {
+	case 'inserted' :
+	  var newDoc = _.omit(item.newDoc,'_id','transaction_id','pending_transactions');
+	  return {action:'insert',fields:item.fields || _.keys(newDoc),before:null,after:newDoc};
+	case 'updated' :
+	  var restore = this._modifierFromRecord(item.inverse);
+	  return {
+		action:'update',
+		fields:item.fields || _.keys(_.extend({},restore.$set,restore.$unset)),
+		before:_.extend({},restore.$set),
+		after:(item.values) ? valuesToObject(item.values) : null
+	  };
+	case 'removed' :
+	  if (item.doc) {
+		return {action:'remove',fields:self._docFields(item.doc),before:item.doc,after:null};
+	  }
+	  return {action:'remove',fields:['deleted'],before:{},after:valuesToObject(item.values)};
+  }
+}
+
+// This is used to check that the document going into the transactions collection has all the necessary fields
+
+Transact.prototype._checkTransactionFields = function (modifier) {
+ // Iterate over all the items that are going to be stored on the transaction stack and check their legitimacy
+ var self = this,recombinedFields = {};
+ var fields = modifier["$set"];
+ if (!fields) {
+   return false;
+ }
+ var items = fields.items;
+ if (!items || _.isEmpty(items)) {
+   return false; 
+ }
+ var action,collection,doc, fail = false;
+ var actions = {inserted:'insert',updated:'update',removed:'remove'};
+ _.each(items,function(val,key) {
+   action = actions[key];
+   if (!action || !_.isArray(val)) {
+	 fail = true;
+	 return;
+   }
+   _.each(val, function(value) {
+	 recombinedFields = (value.update) ? self._modifierFromRecord(value.update) : null;
+	 collection = self.collectionIndex[value.collection];
+	 if (!collection) {
+	   fail = true;
+	   return;
+	 }
+	 // A hard-removed document is no longer in its collection, so it's checked using the copy kept in the record
+	 doc = collection.findOne({_id:value._id},{includeDeleted:true}) || value.doc;
+	 if (!self._permissionCheck(action,collection,doc,recombinedFields)) {
+	   fail = true;
+	 }
+   });
+ });
+ this._cleanReset(); // console.log("Fail: ",fail);
+ return !fail;
+}
+
+// Creates the record of a new transaction, returning its _id
+// In server authoritative mode, the client generates the _id and a server method writes the record (the method stub writes it to the client's copy straight away)
+
+Transact.prototype._insertTransaction = function(transaction) {
+  if (this.serverAuthoritative && Meteor.isClient) {
+	var transaction_id = Random.id();
+	Meteor.call('_meteorTransactionsStart',transaction_id,transaction.description,transaction.scope || null);
+	return transaction_id;
+  }
+  return Transactions.insert(transaction);
+}
+
+// Writes the record of the actions taken to the transaction record once they've all been made
+// In server authoritative mode, the server can still reject the transaction, so this returns a handle for _whenFinalized
+// that the outcome is passed to when the method returns (null is returned when the record is written straight away)
+
+Transact.prototype._finalizeTransaction = function(transaction_id,fields) {
+  if (this.serverAuthoritative && Meteor.isClient) {
+	var finalizing = {done:false,error:null,callbacks:[]};
+	Meteor.call('_meteorTransactionsFinalize',transaction_id,fields.context,fields.items,function(err) {
+	  finalizing.done = true;
+	  finalizing.error = err || null;
+	  _.each(finalizing.callbacks,function(callback) {
+		callback(finalizing.error);
+	  });
+	});
+	return finalizing;
+  }
+  Transactions.update({_id:transaction_id},{$set:fields});
+  return null;
+}
+
+// Calls back with the error (or null) once a transaction record has been finalized (see _finalizeTransaction)
+
+Transact.prototype._whenFinalized = function(finalizing,callback) {
+  if (!finalizing || finalizing.done) {
+	callback((finalizing && finalizing.error) || null);
+	return;
+  }
+  finalizing.callbacks.push(callback);
+}
+
+// In server authoritative mode, the server is told about each action taken on the client just before it's made
+// The server checks the permission and records the action (and its inverse) from the real document, rather than taking the client's word for it
+// Methods from a client are run in order, so the server sees the document as it was before the write that follows
+
+Transact.prototype._prepareOnServer = function(type,collection,_id,data,instant) {
+  Meteor.call('_meteorTransactionsPrepare',this._transaction_id,type,collection._name,_id,data,!!instant);
+}
+
+// Builds the record of an action on the server (for _meteorTransactionsPrepare) from the document as it is before the action is taken
+// Returns null if the permission check fails
+
+Transact.prototype._preparedRecord = function(type,collection,_id,data) {
+  var existingDoc = collection.findOne({_id:_id},{includeDeleted:true});
+  switch (type) {
+	case 'inserted' :
+	  if (existingDoc || !_.isObject(data.newDoc) || !this._permissionCheck("insert",collection,_.extend({},data.newDoc,{_id:_id}),{})) {
+		return null;
+	  }
+	  // The new doc and its fields are read back from the collection when the transaction is finalized
+	  return {};
+	case 'updated' :
+	  if (!existingDoc || !_.isObject(data.updates) || this._isReplacement(data.updates) || !this._permissionCheck("update",collection,existingDoc,data.updates)) {
+		return null;
+	  }
+	  var updateData = _.map(_.pairs(data.updates), function(actionField) {
+		return {command:actionField[0], data:actionField[1]};
+	  });
+	  return {update:this._packageForStorage(updateData),inverse:this._packageForStorage(this._inverseUpdate(existingDoc,data.updates)),fields:this._touchedFields(data.updates)};
+	case 'removed' :
+	  if (!existingDoc || !this._permissionCheck("remove",collection,existingDoc,{})) {
+		return null;
+	  }
+	  if (data.softDelete) {
+		return {fields:['deleted']};
+	  }
+	  // Pending markers left by server transactions are kept out of the snapshot (see doRemove in tx.remove)
+	  existingDoc = _.omit(existingDoc,'pending_transactions');
+	  return (this.snapshotStore) ? {snapshot:this.snapshotStore.save(existingDoc)} : {doc:existingDoc};
+  }
+  return null;
+}
+
+// Checks the actions recorded by _meteorTransactionsPrepare against the documents as they are now, once the client has made its writes
+// Actions whose writes didn't happen (e.g. because the collection's own allow rules stopped them) are dropped, and the values
+// written are read from the documents themselves
+
+Transact.prototype._verifiedItems = function(transaction) {
+  var self = this;
+  var verified = {};
+  _.each(transaction.items, function(records,type) {
+	var kept = _.filter(records, function(obj) {
+	  var collection = self.collectionIndex[obj.collection];
+	  var doc = collection && collection.findOne({_id:obj._id},{includeDeleted:true});
+	  switch (type) {
+		case 'inserted' :
+		  if (doc && doc.transaction_id === transaction._id) {
+			obj.newDoc = _.omit(doc,'_id','pending_transactions');
+			obj.fields = self._docFields(obj.newDoc);
+			return true;
+		  }
+		  break;
+		case 'updated' :
+		  if (doc && doc.transaction_id === transaction._id) {
+			obj.values = self._fieldValues(doc,obj.fields);
+			return true;
+		  }
+		  break;
+		case 'removed' :
+		  if (obj.doc || obj.snapshot) {
+			if (!doc) {
+			  return true;
+			}
+			self._discardSnapshots({removed:[obj]});
+		  }
+		  else if (doc && doc.deleted && doc.transaction_id === transaction._id) {
+			obj.values = [{key:'deleted',value:doc.deleted}];
+			return true;
+		  }
+		  break;
+	  }
+	  self.log('The ' + type.slice(0,-1) + ' action on ' + obj.collection + ' ' + obj._id + ' wasn\'t made, so it\'s been left out of transaction ' + transaction._id);
+	  return false;
+	});
+	if (kept.length) {
+	  verified[type] = kept;
+	}
+  });
+  return verified;
+}
+
+// Removes the record of a transaction that was empty or rolled back
+
+Transact.prototype._removeTransaction = function(transaction_id) {
+  if (this.serverAuthoritative && Meteor.isClient) {
+	Meteor.call('_meteorTransactionsRemove',transaction_id);
+	return;
+  }
+  Transactions.remove({_id:transaction_id});
+}
+
+// Rolls back the whole transaction, whatever level of nesting it's at
+// Only a rollback called from app code can be vetoed by a before rollback hook
+
+Transact.prototype._rollbackTransaction = function(vetoable) {
+  var transaction = (this._transaction_id) ? this._transactionRecord() : null;
+  if (transaction && !this._runHooks('before','rollback',transaction,this._items) && vetoable) {
+	this.log('Rollback vetoed by a hook: ' + this._transaction_id);
+	return false;
+  }
+  // Need to undo everything that's been done so far -- instant actions and any part of the execution stack that was processed
+  var items = this._items;
+  var error = this._reverseItems(this._transaction_id,items);
+  this._clearPendingMarkers(this._transaction_id,items);
+  this._discardSnapshots(items);
+  if (error) {
+	this.log("Rollback failed -- you'll need to check your database manually for corrupted records.");
+	this.log("Here is a log of the actions that were tried and their inverses:");
+	this.log("(it was probably one of the inverse actions that caused the problem here)");
+	this.log(items);	
+  }
+  this._removeTransaction(this._transaction_id);
+  this._cleanReset();
+  this.log("Rollback reset transaction manager to clean state");
+  if (transaction) {
+	this._runHooks('after','rollback',transaction,items);
+  }
+  return true;
+}
+
+// Registers a hook -- see tx.before
+
+Transact.prototype._addHook = function(timing,event,func) {
+  if (!_.contains(['commit','rollback','undo','redo'],event) || !_.isFunction(func)) {
+	throw new Meteor.Error('invalid-hook','tx.' + timing + '() takes "commit", "rollback", "undo" or "redo" and a function.');
+  }
+  var hooks = this._hooks[timing][event] = this._hooks[timing][event] || [];
+  hooks.push(func);
+  return {
+	remove: function() {
+	  var index = _.indexOf(hooks,func);
+	  if (index !== -1) {
+		hooks.splice(index,1);
+	  }
+	}
+  };
+}
+
+// Calls the hooks registered for an event, returning false if a before hook vetoed it
+// A before hook that throws an error vetoes the event too -- errors thrown by after hooks are only logged
+
+Transact.prototype._runHooks = function(timing,event,transaction,items) {
+  var self = this;
+  var allowed = true;
+  _.each(this._hooks[timing][event] || [], function(hook) {
+	if (!allowed) {
+	  return;
+	}
+	try {
+	  if (hook.call(self,transaction,items) === false && timing === 'before') {
+		allowed = false;
+	  }
+	}
+	catch (err) {
+	  self.log(err);
+	  if (timing === 'before') {
+		allowed = false;
+	  }
+	}
+  });
+  return allowed;
+}
+
+// The transaction document for the open transaction, for passing to hooks
+
+Transact.prototype._transactionRecord = function() {
+  return Transactions.findOne({_id:this._transaction_id}) || {_id:this._transaction_id};
+}
+
+// Selects the user's transactions that can be undone (those that are still open or part-way through a commit are left out)
+
+Transact.prototype._undoableSelector = function(scope) {
+  return this._scopeSelector({user_id:Meteor.userId(), $or:[{undone:null}, {undone:{$exists: false}}], expired: {$exists: false}, superseded: {$exists: false}, state: {$nin: this._inFlightStates}},scope);
+}
+
+// Selects the user's transactions that can be redone
+
+Transact.prototype._redoableSelector = function(scope) {
+  return this._scopeSelector({user_id:Meteor.userId(), undone:{$exists:true, $ne: null}, expired:{$exists:false}, superseded:{$exists:false}, state: {$nin: this._inFlightStates}},scope);
+}
+
+// Checks that a transaction picked out by its _id can be undone (or redone) -- the same conditions that _undoableSelector and _redoableSelector
+// put on the transactions they select. Returns {error:<code>,reason:<string>} if it can't be, or null if it can
+
+Transact.prototype._undoRedoRefusal = function(transaction,action) {
+  if (_.contains(this._inFlightStates,transaction.state)) {
+	return {error:'transaction-in-progress',reason:'That transaction hasn\'t finished being committed.'};
+  }
+  if (transaction.expired) {
+	return {error:'transaction-expired',reason:'Other edits have been made, so this action can no longer be ' + ((action === 'undo') ? 'reversed.' : 'redone.')};
+  }
+  if (transaction.superseded) {
+	// Taken off the stack by tx.standardUndoStack or tx.maxDepth
+	return {error:'transaction-superseded',reason:'That transaction is no longer on the ' + action + ' stack.'};
+  }
+  if (action === 'undo' && transaction.undone) {
+	return {error:'already-undone',reason:'That transaction has already been undone.'};
+  }
+  if (action === 'redo' && !transaction.undone) {
+	return {error:'not-undone',reason:'That transaction hasn\'t been undone, so there\'s nothing to redo.'};
+  }
+  return null;
+}
+
+// The order of the redo stack, next redo first
+// With tx.standardUndoStack, a new transaction clears the redo stack, so the undone transactions are always the latest ones
+// and the reverse of the undo order is simply the oldest first
+
+Transact.prototype._redoSort = function() {
+  return (this.standardUndoStack) ? {timestamp:1} : {undone:-1};
+}
+
+// Clears the redo stack (with tx.standardUndoStack) and trims the undo stack to tx.maxDepth once a transaction has been committed
+// Only the undo stack the transaction is on is touched -- i.e. the one for its user and scope
+// This is done on the server -- transactions committed on the client ask for it via a method call
+
+Transact.prototype._trimStacks = function(transaction_id) {
+  if (!this.standardUndoStack && !this.maxDepth) {
+	return;
+  }
+  if (Meteor.isClient) {
+	if (!this.serverAuthoritative) {
+	  Meteor.call('_meteorTransactionsTrimStacks',transaction_id);
+	}
+	return;
+  }
+  var transaction = Transactions.findOne({_id:transaction_id});
+  if (!transaction) {
+	return;
+  }
+  var stack = {user_id:transaction.user_id,scope:(transaction.scope) ? transaction.scope : {$exists:false},superseded:{$exists:false}};
+  if (this.standardUndoStack) {
+	Transactions.update(_.extend({undone:{$exists:true, $ne:null}},stack),{$set:{superseded:true}},{multi:true});
+  }
+  if (this.maxDepth) {
+	var excess = Transactions.find(_.extend({$or:[{undone:null}, {undone:{$exists: false}}], expired:{$exists:false}},stack),{sort:{timestamp:-1},skip:this.maxDepth,fields:{_id:1}}).fetch();
+	if (excess.length) {
+	  Transactions.update({_id:{$in:_.pluck(excess,'_id')}},{$set:{superseded:true}},{multi:true});
+	}
+  }
+}
+
+// Options for fetching the undo or redo stack
+
+Transact.prototype._stackOptions = function(sort,limit) {
+  var options = {sort:sort};
+  if (limit) {
+	options.limit = limit;
+  }
+  return options;
+}
+
+// The fields of a transaction that app code needs to show it in an undo or redo stack
+
+Transact.prototype._summarizeTransaction = function(transaction) {
+  return {
+	transaction_id:transaction._id,
+	description:transaction.description,
+	timestamp:transaction.timestamp,
+	context:transaction.context,
+	scope:transaction.scope,
+	undone:transaction.undone,
+	expired:!!transaction.expired,
+	superseded:!!transaction.superseded
+  };
+}
+
+// Checks whether an element is one where the browser handles undo and redo itself
+
+Transact.prototype._isEditableElement = function(element) {
+  if (!element) {
+	return false;
+  }
+  return _.contains(['INPUT','TEXTAREA','SELECT'],element.tagName) || !!element.isContentEditable;
+}
+
+// Passes the result of an undo or redo to its callback, or lets the user know if the transaction had expired when there's no callback
+
+Transact.prototype._undoRedoCallback = function(err,res,callback) {
+  if (_.isFunction(callback)) {
+	callback(err || null,(err) ? false : res);
+	return;
+  }
+  if (Meteor.isClient && err && err.error === 'transaction-expired') {
+	this.onTransactionExpired.call();
+  }
+}
+
+// Runs an asynchronous action, returning a promise that is settled by the action's (err,res) callback
+// Nothing is returned where promises aren't available
+
+Transact.prototype._promise = function(action) {
+  if (typeof Promise === 'undefined') {
+	action(function() {});
+	return;
+  }
+  var promise = new Promise(function(resolve,reject) {
+	action(function(err,res) {
+	  if (err) {
+		reject(err);
+	  }
+	  else {
+		resolve(res);
+	  }
+	});
+  });
+  // Code that uses a callback rather than the promise shouldn't get warnings about unhandled rejections
+  promise.catch(function() {});
+  return promise;
+}
+
+// Fails an undo or redo method call with a coded error
+// The client-side simulation doesn't always have the transaction records it needs, so only the server reports the failure
+
+Transact.prototype._methodFailure = function(invocation,error,reason,details) {
+  if (invocation.isSimulation) {
+	return null;
+  }
+  throw new Meteor.Error(error,reason,details);
+}
+
+// Makes the writes that undo or redo a transaction -- each queued item is {obj:<the item's record>,write:<function>}
+// Each document is kept as it was before its write, so if a write fails, the ones already made are put back and the undo (or redo)
+// can be tried again. If even that fails, the transaction is marked as expired, so it isn't applied a second time over the top
+
+Transact.prototype._processQueue = function(invocation,queuedItems,action,transaction) {
+  var self = this;
+  var before = [];
+  try {
+	_.each(queuedItems,function(queuedItem) {
+	  var collection = self.collectionIndex[queuedItem.obj.collection];
+	  before.unshift({collection:collection,_id:queuedItem.obj._id,doc:collection.findOne({_id:queuedItem.obj._id},{includeDeleted:true})});
+	  queuedItem.write();
+	});
+  }
+  catch (err) {
+	this.log(err);
+	if (!this._restoreDocs(before)) {
+	  this.log("The writes made before the " + action + " failed couldn't all be put back -- you'll need to check your database manually for corrupted records.");
+	  Transactions.update({_id:transaction._id},{$set:{expired:true}});
+	  this._methodFailure(invocation,action + '-failed','An error occurred part way through the ' + action + ', and the changes already made couldn\'t be put back.',{transaction_id:transaction._id,partial:true});
+	}
+	this._methodFailure(invocation,action + '-failed','An error occurred, so the ' + action + ' was not made.',{transaction_id:transaction._id});
+  }
+}
+
+// Puts documents back the way they were (latest write first) -- each one is {collection:<Mongo.Collection>,_id:<_id>,doc:<document or undefined>}
+// Returns false if any of them couldn't be put back
+
+Transact.prototype._restoreDocs = function(docs) {
+  var self = this;
+  var restored = true;
+  _.each(docs, function(entry) {
+	try {
+	  var exists = !!entry.collection.findOne({_id:entry._id},{includeDeleted:true});
+	  if (entry.doc && exists) {
+		entry.collection.update({_id:entry._id},_.omit(entry.doc,'_id'));
+	  }
+	  else if (entry.doc) {
+		entry.collection.insert(entry.doc);
+	  }
+	  else if (exists) {
+		entry.collection.remove({_id:entry._id});
+	  }
+	}
+	catch (err) {
+	  self.log(err);
+	  restored = false;
+	}
+  });
+  return restored;
+}
+
+// Lists the documents affected by an undo or redo
+
+Transact.prototype._undoRedoResult = function(transaction) {
+  var actions = {inserted:'insert',updated:'update',removed:'remove'};
+  var documents = {};
+  _.each(transaction.items, function(records,type) {
+	_.each(records, function(obj) {
+	  documents[obj.collection + ':' + obj._id + ':' + type] = {collection:obj.collection,_id:obj._id,action:actions[type]};
+	});
+  });
+  return {transaction_id:transaction._id,description:transaction.description,documents:_.values(documents)};
+}
+
+// Narrows a selector on the transactions collection down to a single undo stack, if a scope is given
+// Without a scope, the selector covers all of the user's transactions, whatever their scope
+
+Transact.prototype._scopeSelector = function(selector,scope) {
+  if (_.isString(scope)) {
+	selector.scope = scope;
+  }
+  return selector;
+}
+
+// Checks whether a user is allowed to undo, redo or update a transaction
+
+Transact.prototype._canAccessTransaction = function(userId,transaction,action) {
+  if (!transaction) {
+	return false;
+  }
+  return transaction.user_id === userId || !!this.checkTransactionAccess(userId,action,transaction);
+}
+
+// The default snapshot storage (see tx.snapshotStore) -- a document in the transaction_snapshots collection for each snapshot
+// With tx.compressSnapshots, the document is stored as deflated EJSON
+
+Transact.prototype._snapshotCollectionStore = function() {
+  var self = this;
+  var zlib = Npm.require('zlib');
+  var deflate = Meteor.wrapAsync(zlib.deflate,zlib);
+  var inflate = Meteor.wrapAsync(zlib.inflate,zlib);
+  return {
+	save: function(doc) {
+	  if (self.compressSnapshots) {
+		return TransactionSnapshots.insert({compressed:new Uint8Array(deflate(new Buffer(EJSON.stringify(doc))))});
+	  }
+	  return TransactionSnapshots.insert({doc:doc});
+	},
+	load: function(reference) {
+	  var snapshot = TransactionSnapshots.findOne({_id:reference});
+	  if (!snapshot) {
+		return undefined;
+	  }
+	  return (snapshot.compressed) ? EJSON.parse(inflate(new Buffer(snapshot.compressed)).toString()) : snapshot.doc;
+	},
+	remove: function(reference) {
+	  TransactionSnapshots.remove({_id:reference});
+	}
+  };
+}
+
+// Gives a copy of a transaction's items with each snapshot reference replaced by the snapshot itself, as "doc" -- the way the
+// records look when snapshots are embedded. Snapshots can only be loaded on the server, so on the client the items are left as they are
+// A snapshot that can't be loaded keeps its reference (and gets no "doc"), so it can't be mistaken for a soft delete (see _missingSnapshot)
+
+Transact.prototype._withSnapshots = function(items) {
+  var self = this;
+  if (!items || !Meteor.isServer || !this.snapshotStore || !_.some(items.removed || [], function(obj) { return obj.snapshot; })) {
+	return items;
+  }
+  return _.extend({},items,{removed:_.map(items.removed, function(obj) {
+	var doc = (obj.snapshot) ? self.snapshotStore.load(obj.snapshot) : null;
+	return (doc) ? _.extend(_.omit(obj,'snapshot'),{doc:doc}) : obj;
+  })});
+}
+
+// Checks whether any of the snapshots referred to by a set of items couldn't be loaded by _withSnapshots (e.g. because it's been purged)
+
+Transact.prototype._missingSnapshot = function(items) {
+  return Meteor.isServer && _.some((items && items.removed) || [], function(obj) {
+	return obj.snapshot && !obj.doc;
+  });
+}
+
+// Deletes the snapshots referred to by a set of items, once nothing can need them any more
+
+Transact.prototype._discardSnapshots = function(items) {
+  var self = this;
+  if (!items || !Meteor.isServer || !this.snapshotStore) {
+	return;
+  }
+  _.each(items.removed, function(obj) {
+	if (obj.snapshot) {
+	  self.snapshotStore.remove(obj.snapshot);
+	}
+  });
+}
+
+// Builds the selector for tx.exportLog
+
+Transact.prototype._exportSelector = function(filter) {
+  var selector = {state:{$nin:this._inFlightStates}};
+  var toTime = function(value) {
+	return (_.isDate(value)) ? value.getTime() : value;
+  };
+  if (_.has(filter,'user_id')) {
+	selector.user_id = filter.user_id;
+  }
+  if (filter.from || filter.to) {
+	selector.timestamp = {};
+	if (filter.from) {
+	  selector.timestamp.$gte = toTime(filter.from);
+	}
+	if (filter.to) {
+	  selector.timestamp.$lte = toTime(filter.to);
+	}
+  }
+  if (filter.collection) {
+	selector.$or = [{'items.inserted.collection':filter.collection},{'items.updated.collection':filter.collection},{'items.removed.collection':filter.collection}];
+  }
+  _.each(filter.context, function(value,key) {
+	selector['context.' + key] = value;
+  });
+  return selector;
+}
+
+// Turns a transaction log into an array of transaction documents
+
+Transact.prototype._parseLog = function(log) {
+  if (_.isArray(log)) {
+	return log;
+  }
+  log = String(log).replace(/^\s+|\s+$/g,'');
+  if (log.charAt(0) === '[') {
+	return EJSON.parse(log);
+  }
+  return _.map(_.filter(log.split('\n'), function(line) {
+	return !!line.replace(/\s/g,'');
+  }), function(line) {
+	return EJSON.parse(line);
+  });
+}
+
+// Makes the writes recorded in a single transaction -- inserts first, then updates in the order they were made, then removes
+
+Transact.prototype._replayTransaction = function(transaction,collectionMap) {
+  var self = this;
+  var items = transaction.items || {};
+  var target = function(name) {
+	var collection = (_.has(collectionMap,name)) ? collectionMap[name] : name;
+	collection = (_.isString(collection)) ? self.collectionIndex[collection] : collection;
+	if (!collection) {
+	  throw new Meteor.Error('collection-not-found','No collection to replay writes to "' + name + '" against.');
+	}
+	return collection;
+  };
+  // The writes are made one at a time in the order they were first made, e.g. so a doc can be removed and then inserted again with the same _id
+  _.each(this._orderedItems(items), function(entry) {
+	var obj = entry.item;
+	switch (entry.type) {
+	  case 'inserted' :
+		target(obj.collection).insert(_.extend({},obj.newDoc,{_id:obj._id}));
+		break;
+	  case 'updated' :
+		var modifier = self._modifierFromRecord(obj.update);
+		if (!_.isEmpty(modifier)) {
+		  target(obj.collection).update({_id:obj._id},modifier);
+		}
+		break;
+	  case 'removed' :
+		if (obj.doc || obj.snapshot) {
+		  target(obj.collection).remove({_id:obj._id});
+		}
+		else {
+		  // This was soft deleted
+		  var deleted = _.findWhere(obj.values || [],{key:'deleted'});
+		  target(obj.collection).update({_id:obj._id},{$set:{deleted:(deleted) ? deleted.value : (new Date).getTime(),transaction_id:transaction._id}});
+		}
+		break;
+	}
+  });
+}
+
+// Removes a transaction record for good, along with any documents it soft deleted that are still deleted
+// (once the record is gone, nothing can bring them back)
+
+Transact.prototype._purgeTransaction = function(transaction) {
+  var self = this;
+  if (transaction.items && _.isArray(transaction.items.removed)) {
+	_.each(transaction.items.removed, function(obj) {
+	  var collection = self.collectionIndex[obj.collection];
+	  if (!obj.doc && !obj.snapshot && collection) {
+		collection.remove({_id:obj._id,deleted:{$exists:true},transaction_id:transaction._id});
+	  }
+	});
+	this._discardSnapshots(transaction.items);
+  }
+  Transactions.remove({_id:transaction._id});
+}
+
+// Reset everything to a clean state
+
+Transact.prototype._cleanReset = function() {
+  this._transaction_id = null;
+  this._autoTransaction = false;
+  this._items = {};
+  this._executionStack = [];
+  this._startAttempts = 0;
+  this._granted = {};
+  this._rollback = false;
+  this._rollbackReason = '';
+  this._context = {};
+  this._savepoints = [];
+  this._removed = {};
+  // Note: we don't reset this._lastTransactionData because we want it to be available AFTER the commit
+  if (Meteor.isServer) {
+	Meteor.clearTimeout(this._autoCancel);
+  }
+}
+
+Transact.prototype._callback = function(a,b,err,res,lastTransactionData) {
+  var c = (_.isFunction(a)) ? a : ((_.isFunction(b)) ? b : null);
+  if (c) {
+	c.call(lastTransactionData || this._lastTransactionData,err,res);
+  }  
+}
+
+// Starts a transaction automatically if one isn't started already
+// A scope passed in the options of a single action is given to the transaction started for it
+
+Transact.prototype._openAutoTransaction = function(description,opt) {// console.log("Auto open check value for transaction_id: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
+  if (!this._transaction_id) {
+	this._autoTransaction = true;
+	this.start(description,{scope:opt && opt.scope});
+	// console.log("Auto opened: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
+  }
+}
+
+// Commits a transaction automatically if it was started automatically
+
+Transact.prototype._closeAutoTransaction = function(opt,callback,newId) {// console.log("Auto commit check value for autoTransaction: " + this._autoTransaction + ' (Auto: ' + this._autoTransaction + ')');
+  if (this._autoTransaction) {
+	this.log("Auto committed: " + this._transaction_id); // + ' (Auto: ' + this._autoTransaction + ')';
+	this.commit(opt,undefined,newId);	
+  }
+}
+
+// Cancels and commits a transaction automatically if it exceeds the idleTimeout threshold with no new actions
+// Meteor.setTimeout keeps the environment, so the timer sees the same transaction state as the code that set it
+
+Transact.prototype._resetAutoCancel = function() {
+  if (Meteor.isServer) {
+	var self = this;
+	var transaction_id = this._transaction_id;
+	Meteor.clearTimeout(this._autoCancel);
+	this._autoCancel = Meteor.setTimeout(function() {
+	  if (self._transaction_id !== transaction_id) {
+		return;
+	  }
+	  self.log('Transaction (' + self._transaction_id + ') was cancelled after being inactive for ' + (self.idleTimeout / 1000) + ' seconds.');
+	  self._rollbackTransaction();
+	},this.idleTimeout);
+  }
+}
+
+// A fresh state for the transaction manager, with no transaction in progress
+
+Transact.prototype._newState = function() {
+  return {
+	_transaction_id:null,
+	_autoTransaction:false,
+	_executionStack:[],
+	_items:{},
+	_startAttempts:0,
+	_granted:{},
+	_rollback:false,
+	_rollbackReason:'',
+	_autoCancel:null,
+	_lastTransactionData:null,
+	_context:{},
+	_savepoints:[],
+	_removed:{} // "<collection name>:<_id>" of every document removed in the open transaction
+  };
+}
+
+// Takes note of how far the open transaction has got, so it can be rolled back to this point later
+// Only instant actions have made it into this._items -- the queued ones are still on this._executionStack
+
+Transact.prototype._makeSavepoint = function(name, nested) {
+  return {
+	name:name,
+	nested:nested,
+	stackLength:this._executionStack.length,
+	itemCounts:_.object(_.map(this._items, function(records, type) {
+	  return [type, records.length];
+	})),
+	context:EJSON.clone(this._context),
+	removed:_.clone(this._removed),
+	rollback:this._rollback,
+	rollbackReason:this._rollbackReason
+  };
+}
+
+// Undoes the instant actions taken since a savepoint and drops the actions queued since then
+// A permission failure after the savepoint is forgotten too, so the transaction can carry on from there
+
+Transact.prototype._revertToSavepoint = function(savepoint) {
+  var self = this;
+  var later = {};
+  var kept = {};
+  _.each(_.keys(this._items), function(type) {
+	var count = savepoint.itemCounts[type] || 0;
+	var records = self._items[type];
+	if (records.length > count) {
+	  later[type] = records.slice(count);
+	}
+	if (count) {
+	  self._items[type] = records.slice(0, count);
+	  _.each(self._items[type], function(obj) {
+		kept[obj.collection + ':' + obj._id] = true;
+	  });
+	}
+	else {
+	  delete self._items[type];
+	}
+  });
+  if (this._reverseItems(this._transaction_id, later)) {
+	this.log("Rollback to savepoint failed -- you'll need to check your database manually for corrupted records.");
+	this.log(later);
+  }
+  this._discardSnapshots(later);
+  // Documents also touched before the savepoint keep their pending markers until the transaction is committed or rolled back
+  this._clearPendingMarkers(this._transaction_id, _.object(_.map(later, function(records, type) {
+	return [type, _.reject(records, function(obj) {
+	  return kept[obj.collection + ':' + obj._id];
+	})];
+  })));
+  if (Meteor.isServer && !_.isEmpty(later)) {
+	Transactions.update({_id:this._transaction_id},{$set:{items:this._items}});
   }
+  this._executionStack = this._executionStack.slice(0, savepoint.stackLength);
+  this._context = EJSON.clone(savepoint.context);
+  this._removed = _.clone(savepoint.removed);
+  this._rollback = savepoint.rollback;
+  this._rollbackReason = savepoint.rollbackReason;
+}
+
+// Closes the innermost nested transaction, leaving its changes in the parent
+// Any savepoints set inside it go with it
+
+Transact.prototype._closeNested = function() {
+  var index = _.lastIndexOf(_.pluck(this._savepoints,'nested'),true);
+  if (index !== -1) {
+	this._savepoints = this._savepoints.slice(0, index);
+  }
+  this._startAttempts--;
+}
+
+// Gets the state of the transaction in progress
+// On the client there's only ever one, but on the server, concurrent method calls (each in its own fiber) would otherwise leak writes
+// into each other's transactions, so every method invocation gets its own state (as does any code run through tx.isolate)
+
+Transact.prototype._state = function() {
+  if (Meteor.isServer) {
+	var isolatedState = isolatedTransactionState.get();
+	if (isolatedState) {
+	  return isolatedState;
+	}
+	var invocation = DDP._CurrentInvocation.get();
+	if (invocation) {
+	  return invocation._transactionState || (invocation._transactionState = this._newState());
+	}
+  }
+  return this._sharedState;
+}
+
+// Every field of the transaction state is read and written through this._state(), so the rest of the code can carry on using this._transaction_id, etc.
+
+_.each(_.keys(Transact.prototype._newState()), function(field) {
+  Object.defineProperty(Transact.prototype, field, {
+	get: function() {
+	  return this._state()[field];
+	},
+	set: function(value) {
+	  this._state()[field] = value;
+	}
+  });
+});
+
+// A method called on the server from inside another method (or from tx.isolate) runs in a new invocation,
+// so it's given the caller's transaction state -- its writes join the caller's open transaction, rather than being committed on their own
+
+if (Meteor.isServer) {
+  var _serverApply = Meteor.server.apply;
+  Meteor.server.apply = function() {
+	var server = this;
+	var args = arguments;
+	return isolatedTransactionState.withValue(tx._state(),function() {
+	  return _serverApply.apply(server,args);
+	});
+  };
+  // Meteor.apply is bound to the original function, so it's pointed at this one too (Meteor.call already goes through Meteor.server.apply)
+  Meteor.apply = _.bind(Meteor.server.apply,Meteor.server);
+}
+
+// Pushes the record of a single action to the "items" sub document that is going to be recorded in the transactions collection along with data about this transaction
+
+Transact.prototype._pushToRecord = function(type, collection, _id, fieldData, instant) {
+  var item = this._makeRecord(collection, _id, fieldData, instant);
+  if (typeof this._items[type] === 'undefined') {
+	this._items[type] = [];	
+  }
+  this._items[type].push(item);
+  this._resetAutoCancel();
+}
+
+// Builds the record of a single action
+// Each one is numbered in the order it was made, across all the types of action in the transaction (see _itemsFor)
+
+Transact.prototype._makeRecord = function(collection, _id, fieldData, instant) {
+  var item = {collection:collection._name,_id:_id,seq:this._itemCount(this._items)};
+  if (typeof instant !== 'undefined' && instant) {
+	item.instant = true;	
+  }
+  if (typeof fieldData !== "undefined" && fieldData) {
+	_.extend(item, fieldData);	
+  }
+  return item;
+}
+
+// Counts the actions recorded in a set of items
+
+Transact.prototype._itemCount = function(items) {
+  return _.reduce(items, function(memo, records) {
+	return memo + ((_.isArray(records)) ? records.length : 0);
+  }, 0);
+}
+
+// Two-phase commit -- on the server, the record of each action is written to the transaction document before the action is taken
+// The full "items" field is overwritten with the in-memory record once the commit has been applied
+
+Transact.prototype._recordPending = function(type, collection, _id, fieldData, instant) {
+  var push = {};
+  push['items.' + type] = this._makeRecord(collection, _id, fieldData, instant);
+  Transactions.update({_id:this._transaction_id},{$push:push,$set:{lastActivity:(new Date).getTime()}});
+}
+
+// Moves a transaction on to the next two-phase commit state
+// The client never sees the pending markers, so it doesn't keep track of the intermediate states
+
+Transact.prototype._setState = function(transaction_id, state) {
+  if (Meteor.isServer) {
+	Transactions.update({_id:transaction_id},{$set:{state:state,lastActivity:(new Date).getTime()}});
+  }
+}
+
+// Second phase of the commit -- takes the pending markers off the documents and marks the transaction as done
+
+Transact.prototype._completeCommit = function(transaction_id, items) {
+  if (Meteor.isServer) {
+	this._clearPendingMarkers(transaction_id, items);
+	this._setState(transaction_id, 'done');
+  }
+}
+
+// Takes the pending marker for a transaction off every document that the transaction touched
+
+Transact.prototype._clearPendingMarkers = function(transaction_id, items) {
+  if (!Meteor.isServer) {
+	return;
+  }
+  var self = this;
+  var cleared = {};
+  _.each(items, function(records) {
+	_.each(records, function(obj) {
+	  var collection = self.collectionIndex[obj.collection];
+	  var key = obj.collection + ':' + obj._id;
+	  if (!collection || cleared[key]) {
+		return;
+	  }
+	  cleared[key] = true;
+	  collection.update({_id:obj._id,pending_transactions:transaction_id},{$pull:{pending_transactions:transaction_id}});
+	  collection.update({_id:obj._id,pending_transactions:{$size:0}},{$unset:{pending_transactions:1}});
+	});
+  });
+}
+
+// Reverses the recorded actions of a transaction that hasn't been committed
+// Returns true if any of the inverse actions failed
+
+Transact.prototype._reverseItems = function(transaction_id, items) {
+  var self = this;
+  var error = false;
+  items = this._withSnapshots(items);
+  if (_.isArray(items.removed)) {
+	_.each(items.removed, function(obj) {
+	  try {
+		if (obj.doc) {
+		  // This was removed from the collection, we need to reinsert it
+		  self.collectionIndex[obj.collection].insert(obj.doc);
+		}
+		else if (obj.snapshot) {
+		  throw new Meteor.Error('snapshot-missing','The snapshot of ' + obj.collection + ' ' + obj._id + ' couldn\'t be loaded, so it can\'t be restored.');
+		}
+		else {
+		  // This was soft deleted, we need to remove the deleted field
+		  self.collectionIndex[obj.collection].update({_id:obj._id},{$unset:{deleted:1,transaction_id:transaction_id}});
+		}
+		self.log('Rolled back remove');
+	  }
+	  catch (err) {
+		self.log(err);
+		error = true;
+	  }
+	});
+  }
+  if (_.isArray(items.updated)) {
+	// Several updates to the same document have to be reversed last one first
+	_.each(items.updated.slice().reverse(), function(obj) {// console.log("Undoing update: ", obj);
+	  var operation = self._modifierFromRecord(obj.inverse); // console.log(operation);
+	  if (!_.isEmpty(operation)) {
+		try {  
+		  self.collectionIndex[obj.collection].update({_id:obj._id},operation);
+		  self.log('Rolled back update');
+		}
+		catch (err) {
+		  self.log(err);
+		  error = true;
+		}
+	  }
+	});
+  }
+  if (_.isArray(items.inserted)) {
+	_.each(items.inserted, function(obj) {
+	  var sel = {_id:obj._id};
+	  // This transaction_id check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
+	  sel.transaction_id = transaction_id;
+	  try {
+		self.collectionIndex[obj.collection].remove(sel);
+		self.log('Rolled back insert');
+	  }
+	  catch (err) {
+		self.log(err);
+		error = true;
+	  }
+	});
+  }
+  return error;
+}
+
+// Finishes or rolls back every transaction that was left part-way through a commit (e.g. because the server went down)
+// This runs on server startup, once tx.collectionIndex is ready
+
+Transact.prototype._recoverTransactions = function() {
+  var self = this;
+  Transactions.find(this._abandonedSelector()).forEach(function(transaction) {
+	if (transaction.state === 'applied') {
+	  // All the writes were made and recorded, so only the second phase needs finishing
+	  self._completeCommit(transaction._id, transaction.items || {});
+	  self.log('Recovery completed the commit of transaction: ' + transaction._id);
+	}
+	else {
+	  self._rollbackRecorded(transaction);
+	  self.log('Recovery rolled back transaction: ' + transaction._id);
+	}
+  });
+}
+
+// Picks out the transactions that recovery should deal with
+// A commit that's under way records activity with every write, so one that's gone quiet for tx.recoveryDelay has been abandoned
+// An open transaction only counts as abandoned once it's gone quiet for longer than the server that opened it would have let it idle
+// (client transactions have no lastActivity, so they're never matched -- they stay "pending" for as long as the client keeps them open)
+
+Transact.prototype._abandonedSelector = function() {
+  var now = (new Date).getTime();
+  var committing = {$lt:now - this.recoveryDelay};
+  return {$or:[
+	{state:{$in:['applying','applied']},lastActivity:committing},
+	{state:{$in:['applying','applied']},lastActivity:{$exists:false},timestamp:committing}, // Records written before lastActivity was kept
+	{state:'pending',lastActivity:{$lt:now - this.idleTimeout - this.recoveryDelay}}
+  ]};
+}
+
+// Rolls back a transaction using the record in the database rather than the one in memory
+// Actions are recorded before they're taken, so only those whose documents carry the pending marker are reversed
+
+Transact.prototype._rollbackRecorded = function(transaction) {
+  var self = this;
+  var items = transaction.items || {};
+  // All the checks need to happen before anything is reversed, as reversing an action can take the marker off a document
+  var applied = {};
+  _.each(items, function(records, type) {
+	applied[type] = _.filter(records, function(obj) {
+	  var collection = self.collectionIndex[obj.collection];
+	  if (!collection) {
+		return false;
+	  }
+	  if (type === 'removed' && (obj.doc || obj.snapshot)) {
+		// A hard delete leaves nothing to mark -- if the doc is gone, the remove was made
+		return !collection.findOne({_id:obj._id},{includeDeleted:true});
+	  }
+	  return !!collection.findOne({_id:obj._id,pending_transactions:transaction._id},{includeDeleted:true});
+	});
+  });
+  if (this._reverseItems(transaction._id, applied)) {
+	this.log("Recovery of transaction " + transaction._id + " failed -- you'll need to check your database manually for corrupted records.");
+	this.log(items);
+  }
+  this._clearPendingMarkers(transaction._id, items);
+  this._discardSnapshots(items);
+  Transactions.remove({_id:transaction._id});
+}
+
+// Checks whether the permission check should be waived
+
+Transact.prototype._permissionCheckOverridden = function(opt) {
+  return typeof opt !== 'undefined' && opt.overridePermissionCheck;
 }
 
-// Cancels and commits a transaction automatically if it exceeds the idleTimeout threshold with no new actions
+// Uses a user-defined permission check as to whether this action is allowed or not
 
-Transact.prototype._resetAutoCancel = function() {
-  if (Meteor.isServer) {
-	var self = this;
-	Meteor.clearTimeout(this._autoCancel);
-	this._autoCancel = Meteor.setTimeout(function() {
-	  self.log('Transaction (' + self._transaction_id + ') was cancelled after being inactive for ' + (self.idleTimeout / 1000) + ' seconds.');
-	  self.rollback();
-	},this.idleTimeout);
+Transact.prototype._permissionCheck = function(action,collection,doc,updates) { // insert and remove send null for "updates" param, but this is where all the details of any update are found
+  return this.checkPermission(action,collection,doc,updates);
+}
+
+// Checks whether the doc passed to tx.update or tx.remove is a mongo selector, rather than an _id value or a document (or a selector that picks out a single _id value)
+
+Transact.prototype._isSelector = function(doc) {
+  return _.isObject(doc) && !(doc instanceof Mongo.ObjectID) && !(_.isString(doc._id) || doc._id instanceof Mongo.ObjectID);
+}
+
+// Adds the check on the "deleted" field to a selector passed to `find` or `findOne` (see tx.excludeDeleted)
+// Selectors that already say something about the "deleted" field are left as they are, and a missing selector means every document
+
+Transact.prototype._withoutDeleted = function(selector) {
+  if (typeof selector === 'undefined') {
+	return {deleted:{$exists:false}};
+  }
+  if (_.isString(selector) || selector instanceof Mongo.ObjectID) {
+	return {_id:selector,deleted:{$exists:false}};
   }
+  if (!_.isObject(selector) || _.isFunction(selector) || _.has(selector,'deleted')) {
+	return selector;
+  }
+  return _.extend({},selector,{deleted:{$exists:false}});
 }
 
-// Pushes the record of a single action to the "items" sub document that is going to be recorded in the transactions collection along with data about this transaction
+// Fetches all the documents matched by a selector (or just the first one if multi is false)
+// As with mongo's own update and remove, soft-deleted documents are matched unless excludeDeleted is passed
 
-Transact.prototype._pushToRecord = function(type, collection, _id, fieldData, instant) {
-  var item = {collection:collection._name,_id:_id};
-  if (typeof instant !== 'undefined' && instant) {
-	item.instant = true;	
+Transact.prototype._targetDocs = function(collection,selector,multi,excludeDeleted) {
+  if (excludeDeleted && Meteor.isServer) {
+	selector = {$and:[selector,{deleted:{$exists:false}}]};
   }
-  if (typeof fieldData !== "undefined" && fieldData) {
-	_.extend(item, fieldData);	
+  if (multi) {
+	return collection.find(selector,{includeDeleted:true}).fetch();
   }
-  if (typeof this._items[type] === 'undefined') {
-	this._items[type] = [];	
+  return _.compact([collection.findOne(selector,{includeDeleted:true})]);
+}
+
+// Updates or removes each of a set of documents as part of the same transaction
+// Every document gets its own record (and inverse), so the whole set is restored by a single undo
+
+Transact.prototype._multiAction = function(action,collection,docs,updates,opt,callback,selector) {
+  var self = this;
+  var singleOpt = (_.isObject(opt)) ? _.omit(opt,'tx','multi','callback','arrayFilters') : {};
+  var arrayFilters = _.isObject(opt) && opt.arrayFilters;
+  if (!docs.length) {
+	if (_.isFunction(callback)) {
+	  callback(null,0);
+	}
+	return true;
   }
-  this._items[type].push(item);
-  this._resetAutoCancel();
+  this._openAutoTransaction(action + ' ' + collection._name,opt);
+  // The actions on the individual documents mustn't auto commit the transaction
+  var autoTransaction = this._autoTransaction;
+  this._autoTransaction = false;
+  _.each(docs, function(doc) {
+	if (action === 'update') {
+	  // Positional field names can refer to different array elements in each document
+	  self.update(collection,doc._id,self._resolvePositional(doc,selector,EJSON.clone(updates),arrayFilters),singleOpt);
+	}
+	else {
+	  self.remove(collection,doc,singleOpt);
+	}
+  });
+  this._autoTransaction = autoTransaction;
+  if (_.isFunction(callback)) {
+	// As with mongo, the callback gets the number of documents affected
+	var report = function() {
+	  callback(null,docs.length);
+	};
+	if (singleOpt.instant) {
+	  report();
+	}
+	else {
+	  this._executionStack.push(report);
+	}
+  }
+  this._closeAutoTransaction(opt,callback);
+  return !this._rollback;
 }
 
-// Checks whether the permission check should be waived
+// Removes the documents that depend on a document that's being removed (see tx.relations) as part of the same transaction
+// Each one goes through tx.remove, so its own dependents are removed too. Documents already removed in this transaction are skipped
+// (see this._removed), so one that's reached by more than one relation is only removed once and a cycle in the data can't keep this going forever
 
-Transact.prototype._permissionCheckOverridden = function(opt) {
-  return typeof opt !== 'undefined' && opt.overridePermissionCheck;
+Transact.prototype._cascadeRemove = function(collection,_id,opt) {
+  var self = this;
+  var dependents = this._relations[collection._name];
+  if (!dependents) {
+	return;
+  }
+  var dependentOpt = (_.isObject(opt)) ? _.omit(opt,'tx','callback','context') : {};
+  // The removes of the dependents mustn't auto commit the transaction
+  var autoTransaction = this._autoTransaction;
+  this._autoTransaction = false;
+  _.each(dependents, function(field,dependentCollectionName) {
+	var dependentCollection = self.collectionIndex[dependentCollectionName];
+	if (!dependentCollection) {
+	  self.log('Dependents of ' + collection._name + ' can\'t be removed from "' + dependentCollectionName + '", as it isn\'t in tx.collectionIndex');
+	  return;
+	}
+	var selector = {deleted:{$exists:false}};
+	selector[field] = _id;
+	_.each(self._targetDocs(dependentCollection,selector,true), function(dependentDoc) {
+	  if (!self._removed[dependentCollectionName + ':' + dependentDoc._id]) {
+		self.remove(dependentCollection,dependentDoc,dependentOpt);
+	  }
+	});
+  });
+  this._autoTransaction = autoTransaction;
 }
 
-// Uses a user-defined permission check as to whether this action is allowed or not
+// Works out whether an upsert is going to update or insert and records it as whichever of those it turns out to be
+// so that the inverse is correct in both cases
 
-Transact.prototype._permissionCheck = function(action,collection,doc,updates) { // insert and remove send null for "updates" param, but this is where all the details of any update are found
-  return this.checkPermission(action,collection,doc,updates);
+Transact.prototype._upsert = function(collection,doc,updates,multi,returnObject,opt,callback) {
+  var singleOpt = _.omit(opt || {},'upsert','_returnObject','multi');
+  var selector = (this._isSelector(doc)) ? doc : {_id:(_.isObject(doc) && !(doc instanceof Mongo.ObjectID)) ? doc._id : doc};
+  var targets = this._targetDocs(collection,selector,multi);
+  var result;
+  if (targets.length) {
+	// There's something to update, so this is an ordinary update
+	var updateCallback = _.isFunction(callback) && function(err,res) {
+	  callback(err,(returnObject) ? {numberAffected:(err) ? 0 : targets.length} : res);
+	};
+	result = this._multiAction('update',collection,targets,updates,singleOpt,updateCallback || undefined,selector);
+	return (returnObject && result) ? {numberAffected:targets.length} : result;
+  }
+  // Nothing matched, so this is an insert of the doc mongo would have created and its inverse is a remove
+  var newDoc = LocalCollection._removeDollarOperators(selector);
+  LocalCollection._modify(newDoc,updates,{isInsert:true});
+  if (!newDoc._id) {
+	newDoc._id = collection._makeNewID();
+  }
+  var insertCallback = _.isFunction(callback) && function(err,res) {
+	callback(err,(returnObject) ? {numberAffected:(err) ? 0 : 1,insertedId:res} : res);
+  };
+  result = this.insert(collection,newDoc,singleOpt,insertCallback || undefined);
+  return (returnObject && result) ? {numberAffected:1,insertedId:newDoc._id} : result;
 }
 
 // Builds the context object
@@ -797,8 +2521,19 @@ Transact.prototype._unpackageForUpdate = function(data) {
 }
 
 // This turns the data that is given as a mongo update into an array of key-value pairs that can be stored
+// An update (or inverse) can be a single {command:...,data:...} object or an array of them
   
 Transact.prototype._packageForStorage = function(update) {
+  var self = this;
+  if (_.isArray(update)) {
+	return _.map(update, function(part) {
+	  return self._packageForStorage(part);
+	});
+  }
+  if (_.isArray(update.data)) {
+	// Already packaged (e.g. a custom inverse written in the stored format)
+	return update;
+  }
   var arrForStorage = [];
   _.each(update.data, function(value,key) {
 	arrForStorage.push({key:key,value:value});
@@ -807,6 +2542,279 @@ Transact.prototype._packageForStorage = function(update) {
   
 }
 
+// This turns a stored update or inverse back into a modifier that mongo can use
+
+Transact.prototype._modifierFromRecord = function(record) {
+  var self = this;
+  var modifier = {};
+  _.each((_.isArray(record)) ? record : [record], function(part) {
+	if (part && part.command && part.data) {
+	  modifier[part.command] = _.extend(modifier[part.command] || {},self._unpackageForUpdate(part.data));
+	}
+  });
+  return modifier;
+}
+
+// Checks whether an update is a whole-document replacement (i.e. it has no update operators in it)
+
+Transact.prototype._isReplacement = function(updates) {
+  return _.isObject(updates) && !_.some(_.keys(updates), function(key) {
+	return key.charAt(0) === '$';
+  });
+}
+
+// Turns a replacement document into a modifier that does the same thing -- every field of the new document is set and every other field
+// of the existing document is unset (apart from _id and the fields this package looks after itself)
+
+Transact.prototype._replacementModifier = function(existingDoc,replacement) {
+  var newValues = _.omit(replacement,'_id');
+  var removedFields = _.difference(_.keys(existingDoc || {}),_.keys(newValues),['_id','transaction_id','pending_transactions']);
+  var updates = {};
+  if (!_.isEmpty(newValues)) {
+	updates["$set"] = EJSON.clone(newValues);
+  }
+  if (removedFields.length) {
+	updates["$unset"] = _.object(removedFields,_.map(removedFields, function() { return ''; }));
+  }
+  return updates;
+}
+
+// Works out the inverse of an update by restoring the former value of every field the update touches
+// This is exact for every operator, including array operators like $push (with $each, $slice and $position), $pop and $pullAll
+// Fields that didn't exist before are $unset from the shallowest missing parent, so no empty sub-documents are left behind
+
+Transact.prototype._inverseUpdate = function(existingDoc,updates) {
+  var self = this;
+  var formerValues = {};
+  var missingFields = {};
+  _.each(this._touchedFields(updates), function(keyName) {
+	var pieces = keyName.split('.');
+	for (var i = 1; i <= pieces.length; i++) {
+	  var path = pieces.slice(0,i).join('.');
+	  if (typeof self._drillDown(existingDoc,path) === 'undefined') {
+		var parentPath = pieces.slice(0,i - 1).join('.');
+		var parent = (parentPath) ? self._drillDown(existingDoc,parentPath) : existingDoc;
+		if (_.isArray(parent)) {
+		  // $unset can't take an element out of an array (it leaves a null behind), so the whole array is restored instead
+		  formerValues[parentPath] = parent;
+		}
+		else {
+		  missingFields[path] = '';
+		}
+		return;
+	  }
+	}
+	formerValues[keyName] = self._drillDown(existingDoc,keyName);
+  });
+  // Mongo won't accept a field and one of its sub-fields in the same update, and restoring the parent covers the sub-field anyway
+  var restoredFields = _.keys(formerValues).concat(_.keys(missingFields));
+  var coveredFields = _.filter(restoredFields, function(keyName) {
+	return _.some(restoredFields, function(restoredField) {
+	  return keyName.indexOf(restoredField + '.') === 0;
+	});
+  });
+  formerValues = _.omit(formerValues,coveredFields);
+  missingFields = _.omit(missingFields,coveredFields);
+  var inverse = [];
+  if (!_.isEmpty(formerValues)) {
+	inverse.push({command:'$set',data:EJSON.clone(formerValues)});
+  }
+  if (!_.isEmpty(missingFields)) {
+	inverse.push({command:'$unset',data:missingFields});
+  }
+  return inverse;
+}
+
+// Turns the positional ($), all positional ($[]) and filtered positional ($[<identifier>]) parts of the field names in an update
+// into the indexes of the array elements they refer to at the time of the write, so the inverse (and any redo) touches exactly those elements
+
+Transact.prototype._resolvePositional = function(existingDoc,selector,updates,arrayFilters) {
+  var self = this;
+  var positional = /(^|\.)\$(\[[^\]]*\])?(\.|$)/;
+  if (!existingDoc || !_.some(this._touchedFields(updates), function(keyName) { return positional.test(keyName); })) {
+	return updates;
+  }
+  var matchedIndex;
+  var positionalIndex = function() {
+	if (typeof matchedIndex === 'undefined') {
+	  // The "$" refers to the first array element matched by the selector
+	  var match = new Minimongo.Matcher(selector || {}).documentMatches(existingDoc);
+	  matchedIndex = (match.result && match.arrayIndices && match.arrayIndices.length) ? match.arrayIndices[0] : null;
+	}
+	return matchedIndex;
+  };
+  var expand = function(value,pieces,resolvedPieces) {
+	if (!pieces.length) {
+	  return [resolvedPieces.join('.')];
+	}
+	var piece = pieces[0];
+	var indexes;
+	if (piece === '$') {
+	  indexes = (positionalIndex() === null) ? null : [positionalIndex()];
+	}
+	else if (piece === '$[]') {
+	  indexes = (_.isArray(value)) ? _.range(value.length) : [];
+	}
+	else if (/^\$\[.+\]$/.test(piece)) {
+	  var identifier = piece.slice(2,-1);
+	  indexes = (_.isArray(value)) ? _.filter(_.range(value.length), function(index) { return self._arrayFilterMatches(identifier,value[index],arrayFilters); }) : [];
+	}
+	else {
+	  return expand((value !== null && typeof value !== 'undefined') ? value[piece] : undefined,pieces.slice(1),resolvedPieces.concat(piece));
+	}
+	if (indexes === null) {
+	  // Can't be resolved -- leave it to mongo to complain about
+	  return [resolvedPieces.concat(pieces).join('.')];
+	}
+	return _.flatten(_.map(indexes, function(index) {
+	  return expand(value[index],pieces.slice(1),resolvedPieces.concat(String(index)));
+	}),true);
+  };
+  var resolved = {};
+  _.each(updates, function(updateMap,command) {
+	var resolvedMap = {};
+	_.each(updateMap, function(value,keyName) {
+	  _.each(expand(existingDoc,keyName.split('.'),[]), function(resolvedKey) {
+		resolvedMap[resolvedKey] = value;
+	  });
+	});
+	// A filter that matches no elements leaves nothing for that operator to do
+	if (!_.isEmpty(resolvedMap)) {
+	  resolved[command] = resolvedMap;
+	}
+  });
+  return resolved;
+}
+
+// Checks whether an array element satisfies the arrayFilters given for an identifier used in a $[<identifier>] field name
+
+Transact.prototype._arrayFilterMatches = function(identifier,element,arrayFilters) {
+  var filters = _.filter(arrayFilters || [], function(filter) {
+	return _.some(_.keys(filter), function(keyName) {
+	  return keyName === identifier || keyName.indexOf(identifier + '.') === 0;
+	});
+  });
+  if (!filters.length) {
+	return false;
+  }
+  var wrapped = {};
+  wrapped[identifier] = element;
+  return _.every(filters, function(filter) {
+	return new Minimongo.Matcher(filter).documentMatches(wrapped).result;
+  });
+}
+
+// Lists the fields of a document as it was inserted, leaving out the ones this package manages
+
+Transact.prototype._docFields = function(doc) {
+  return _.without(_.keys(doc),'_id','transaction_id','pending_transactions');
+}
+
+// Gets the current values of a list of fields in a document in a form that can be stored
+// A field that doesn't exist is recorded with a key and no value
+
+Transact.prototype._fieldValues = function(doc,fields) {
+  var self = this;
+  return _.map(fields, function(keyName) {
+	var value = self._drillDown(doc,keyName);
+	return (typeof value === 'undefined') ? {key:keyName} : {key:keyName,value:EJSON.clone(value)};
+  });
+}
+
+// Checks whether any of the fields written by a transaction have been changed since (by a later transaction or anything else)
+// Items are checked latest first, so a field written more than once in the same transaction is only compared with its final value
+
+Transact.prototype._hasConflicts = function(transaction) {
+  var self = this;
+  var items = transaction.items || {};
+  var checked = {};
+  var overlaps = function(field,otherField) {
+	return field === otherField || field.indexOf(otherField + '.') === 0 || otherField.indexOf(field + '.') === 0;
+  };
+  var changed = function(obj,currentDoc,values) {
+	var docKey = obj.collection + ':' + obj._id;
+	var checkedFields = checked[docKey] || [];
+	checked[docKey] = checkedFields.concat(_.pluck(values,'key'));
+	return _.some(values, function(entry) {
+	  if (_.some(checkedFields, function(field) { return overlaps(field,entry.key); })) {
+		return false;
+	  }
+	  var current = self._drillDown(currentDoc,entry.key);
+	  return (_.has(entry,'value')) ? !EJSON.equals(current,entry.value) : typeof current !== 'undefined';
+	});
+  };
+  var conflict = false;
+  var hardRemoved = {};
+  _.each(items.removed, function(obj) {
+	var currentDoc = self.collectionIndex[obj.collection].findOne({_id:obj._id},{includeDeleted:true});
+	if (obj.doc || obj.snapshot) {
+	  // A doc with the same _id has turned up since this one was removed
+	  conflict = conflict || !!currentDoc;
+	  hardRemoved[obj.collection + ':' + obj._id] = true;
+	}
+	else if (obj.values) {
+	  conflict = changed(obj,currentDoc,obj.values) || conflict;
+	}
+  });
+  _.each((items.updated || []).slice().reverse(), function(obj) {
+	// A doc this transaction went on to remove isn't there to check -- that it's still gone is all that matters, and that's checked above
+	if (obj.values && !hardRemoved[obj.collection + ':' + obj._id]) {
+	  conflict = changed(obj,self.collectionIndex[obj.collection].findOne({_id:obj._id},{includeDeleted:true}),obj.values) || conflict;
+	}
+  });
+  _.each(items.inserted, function(obj) {
+	var currentDoc = self.collectionIndex[obj.collection].findOne({_id:obj._id},{includeDeleted:true});
+	if (!currentDoc) {
+	  return;
+	}
+	// Undoing an insert removes the whole document, so a field that's been added since (e.g. by a later update or a soft delete) counts too
+	// Only fields that are actually there are checked -- so once a later transaction that added one has been undone, the insert can be undone again
+	var writtenFields = _.keys(obj.newDoc || {}).concat(['_id','transaction_id','pending_transactions']);
+	_.each((items.updated || []).concat(items.removed || []), function(other) {
+	  if (other.collection === obj.collection && EJSON.equals(other._id,obj._id)) {
+		writtenFields = writtenFields.concat(_.map(other.fields || [], function(keyName) { return keyName.split('.')[0]; }));
+	  }
+	});
+	if (_.difference(_.keys(currentDoc),writtenFields).length) {
+	  conflict = true;
+	  return;
+	}
+	if (obj.fields) {
+	  conflict = changed(obj,currentDoc,self._fieldValues(obj.newDoc,obj.fields)) || conflict;
+	}
+  });
+  return conflict;
+}
+
+// Lists the fields that an update modifier will change
+
+Transact.prototype._touchedFields = function(updates) {
+  var self = this;
+  var fields = [];
+  if (this._isReplacement(updates)) {
+	// Only reached before a replacement has been turned into a modifier (e.g. when positional fields are checked for)
+	return _.without(_.keys(updates),'_id');
+  }
+  _.each(updates, function(updateMap,command) {
+	if (!_.contains(self._updateOperators,command)) {
+	  self.log('The "' + command + '" update operator is not recognised, so its inverse may not be correct.');
+	}
+	switch (command) {
+	  case '$setOnInsert' :
+		// Only has an effect when a doc is inserted by an upsert, and those are recorded as inserts
+		break;
+	  case '$rename' :
+		// The old field name and the new one are both affected
+		fields = fields.concat(_.keys(updateMap),_.values(updateMap));
+		break;
+	  default :
+		fields = fields.concat(_.keys(updateMap));
+		break;
+	}
+  });
+  return _.uniq(fields);
+}
+
 // Given a dot delimited string as a key, and an object, find the value
 
 Transact.prototype._drillDown = function(obj,key) {
@@ -831,6 +2839,7 @@ Transact.prototype._drillDown = function(obj,key) {
 if (typeof tx === 'undefined') {
   tx = new Transact();
   tx.Transactions = Transactions; // Expose the Transactions collection via tx
+  tx.Snapshots = TransactionSnapshots; // And the collection for snapshots of removed documents (server only)
 }
 else {
   throw new Meteor.Error('`tx` is already defined in the global scope. The babrahams:transactions package won\'t work.');  
@@ -841,142 +2850,252 @@ else {
 
 Meteor.methods({
   
-  '_meteorTransactionsUndo' : function( id ) {
-	if (tx.requireUser && !Meteor.userId()) {
-	  console.log('You must be logged in to undo actions.');
+  // The next four methods are only called in server authoritative mode (see tx.serverAuthoritative)
+  // They write the transaction records for transactions committed on the client
+  
+  '_meteorTransactionsStart' : function( transaction_id, description, scope ) {
+	check(transaction_id,String);
+	check(description,String);
+	check(scope,Match.OneOf(String,null));
+	if (tx.requireUser && !this.userId) {
+	  throw new Meteor.Error('permission-denied','You must be logged in to start a transaction.');
+	}
+	var transaction = {_id:transaction_id,user_id:this.userId,timestamp:(new Date).getTime(),description:description,state:'pending'};
+	if (scope) {
+	  transaction.scope = scope;
+	}
+	Transactions.insert(transaction);
+  },
+  
+  '_meteorTransactionsPrepare' : function( transaction_id, type, collectionName, _id, data, instant ) {
+	check(transaction_id,String);
+	check(type,Match.Where(function(type) { return _.contains(['inserted','updated','removed'],type); }));
+	check(collectionName,String);
+	check(_id,Match.OneOf(String,Mongo.ObjectID));
+	check(data,Object);
+	check(instant,Boolean);
+	if (this.isSimulation) {
+	  // The client's copy of the record gets its items when the transaction is finalized
 	  return;
 	}
+	var transaction = Transactions.findOne({_id:transaction_id});
+	if (!transaction || transaction.state !== 'pending' || !tx._canAccessTransaction(this.userId,transaction,'update')) {
+	  throw new Meteor.Error('permission-denied','You are not allowed to write to this transaction.');
+	}
+	var collection = tx.collectionIndex[collectionName];
+	var record = collection && tx.isolate(function() { return tx._preparedRecord(type,collection,_id,data); });
+	if (!record) {
+	  // Without a record of this action, the transaction can't be undone properly, so it isn't recorded at all
+	  tx._discardSnapshots(transaction.items);
+	  Transactions.remove({_id:transaction_id});
+	  throw new Meteor.Error('permission-denied','One or more permissions were denied, so the transaction will not be recorded.');
+	}
+	var push = {};
+	push['items.' + type] = _.extend(tx._makeRecord(collection,_id,record,instant),{seq:tx._itemCount(transaction.items)});
+	Transactions.update({_id:transaction_id},{$push:push});
+  },
+  
+  '_meteorTransactionsFinalize' : function( transaction_id, context, items ) {
+	check(transaction_id,String);
+	check(context,Match.Optional(Object));
+	check(items,Object);
+	var transaction = Transactions.findOne({_id:transaction_id});
+	// Only an open transaction can be finalized, so the records of committed transactions can't be rewritten
+	if (!transaction || transaction.state !== 'pending' || !tx._canAccessTransaction(this.userId,transaction,'update')) {
+	  throw new Meteor.Error('permission-denied','You are not allowed to write to this transaction.');
+	}
+	if (this.isSimulation) {
+	  // The items sent by the client are only used for its own copy of the record, until the server's version arrives
+	  Transactions.update({_id:transaction_id},{$set:{context:context || {},items:items,state:'done'}});
+	  return;
+	}
+	// The server's items are the ones recorded by _meteorTransactionsPrepare, checked against the documents as they are now
+	Transactions.update({_id:transaction_id},{$set:{context:context || {},items:tx._verifiedItems(transaction),state:'done'}});
+	tx._trimStacks(transaction_id);
+  },
+  
+  '_meteorTransactionsTrimStacks' : function( transaction_id ) {
+	check(transaction_id,String);
+	var transaction = Transactions.findOne({_id:transaction_id});
+	if (!transaction || !tx._canAccessTransaction(this.userId,transaction,'update')) {
+	  throw new Meteor.Error('permission-denied','You are not allowed to write to this transaction.');
+	}
+	if (!this.isSimulation) {
+	  tx._trimStacks(transaction_id);
+	}
+  },
+  
+  '_meteorTransactionsRemove' : function( transaction_id ) {
+	check(transaction_id,String);
+	var transaction = Transactions.findOne({_id:transaction_id});
+	if (!transaction || transaction.state !== 'pending' || transaction.user_id !== this.userId) {
+	  throw new Meteor.Error('permission-denied','You are not allowed to remove this transaction.');
+	}
+	// Any snapshots saved by _meteorTransactionsPrepare go with the record, as nothing else refers to them
+	tx._discardSnapshots(transaction.items);
+	Transactions.remove({_id:transaction_id});
+  },
+  
+  '_meteorTransactionsUndo' : function( id, options ) {
+	check(id,Match.Optional(Match.OneOf(String,null)));
+	check(options,Match.Optional(Match.ObjectIncluding({scope:Match.Optional(String)})));
+	if (tx.requireUser && !Meteor.userId()) {
+	  throw new Meteor.Error('not-logged-in','You must be logged in to undo actions.');
+	}
 	// Get the latest transaction done by this user and undo it
+	var invocation = this;
 	var expired = false;
 	var queuedItems = [];
 	var lastTransaction;
 	if (id){
 		lastTransaction = Transactions.find({_id: id}, {sort: {timestamp: -1}, limit:1}).fetch()[0];
+		if (lastTransaction && !tx._canAccessTransaction(Meteor.userId(),lastTransaction,'undo')) {
+		  throw new Meteor.Error('permission-denied','You are not allowed to undo this transaction.');
+		}
+		var refusal = lastTransaction && tx._undoRedoRefusal(lastTransaction,'undo');
+		if (refusal) {
+		  return tx._methodFailure(invocation,refusal.error,refusal.reason,{transaction_id:lastTransaction._id});
+		}
 	} else {
-		lastTransaction = Transactions.find({user_id:Meteor.userId(), $or:[{undone:null}, {undone:{$exists: false}}], expired: {$exists: false}}, {sort: {timestamp: -1}, limit:1}).fetch()[0];
+		lastTransaction = Transactions.find(tx._undoableSelector(options && options.scope), {sort: {timestamp: -1}, limit:1}).fetch()[0];
 	}
-	if (lastTransaction && typeof lastTransaction.items !== 'undefined') {
+	if (!lastTransaction) {
+	  return tx._methodFailure(invocation,(id) ? 'not-found' : 'nothing-to-undo',(id) ? 'That transaction doesn\'t exist.' : 'There is nothing to undo.');
+	}
+	if (typeof lastTransaction.items !== 'undefined') {
+	  lastTransaction.items = tx._withSnapshots(lastTransaction.items);
+	  if (tx._missingSnapshot(lastTransaction.items)) {
+		return tx._methodFailure(invocation,'snapshot-missing','A removed document can\'t be restored, as its snapshot is missing.',{transaction_id:lastTransaction._id});
+	  }
+	  // Only a later change to one of the fields this transaction wrote stops it being undone -- changes to other fields are fine
+	  if (tx._hasConflicts(lastTransaction)) {
+		// Transaction has expired
+		Transactions.update({_id:lastTransaction._id},{$set:{expired:true}});
+		expired = true; // This is to tell the client that the transaction has expired and the undo was not executed
+	  }
 	  if (_.isArray(lastTransaction.items.removed)) {
 		_.each(lastTransaction.items.removed, function(obj) {
 		  if (obj.doc) {
 			// This doc is here because the original was removed
-			// First check for duplicates -- if there is one, the transaction has expired
-			if (tx.collectionIndex[obj.collection].find(obj.doc._id).count()) {
-			  expired = true;  
-			}
-			else {
-		      queuedItems.push(function(){
-			    tx.collectionIndex[obj.collection].insert(obj.doc);
-			  });
-			}
+			queuedItems.push({obj:obj,write:function(){
+			  tx.collectionIndex[obj.collection].insert(obj.doc);
+			}});
 		  }
-		  else {
+		  else if (!obj.snapshot) { // The client-side simulation can't load snapshots, so it leaves hard-deleted documents to the server
 			// This was removed with softDelete
-			queuedItems.push(function(){
+			queuedItems.push({obj:obj,write:function(){
 			  tx.collectionIndex[obj.collection].update({_id:obj._id},{$unset:{deleted:1,transaction_id:lastTransaction._id}});
-			});
+			}});
 		  }
 		});
 	  }
 	  if (_.isArray(lastTransaction.items.updated)) {
-		_.each(lastTransaction.items.updated, function(obj) {// console.log("Undoing update: ", obj);
-		  if (typeof obj.inverse !== 'undefined' && obj.inverse.command && obj.inverse.data) {
-			var operation = {};
-			operation[obj.inverse.command] = tx._unpackageForUpdate(obj.inverse.data);// console.log(operation);
-			queuedItems.push(function(){tx.collectionIndex[obj.collection].update({_id:obj._id},operation)});
+		// Several updates to the same document have to be reversed last one first
+		_.each(lastTransaction.items.updated.slice().reverse(), function(obj) {// console.log("Undoing update: ", obj);
+		  var operation = tx._modifierFromRecord(obj.inverse);// console.log(operation);
+		  if (!_.isEmpty(operation)) {
+			queuedItems.push({obj:obj,write:function(){tx.collectionIndex[obj.collection].update({_id:obj._id},operation)}});
 		  }
 		});
 	  }
 	  if (_.isArray(lastTransaction.items.inserted)) {
 		_.each(lastTransaction.items.inserted, function(obj) {
-		  var sel = {_id:obj._id};
-		  // This transaction check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
-		  // Instead, we remove this transaction from the visible list by setting expired to true
-		  sel.transaction_id = lastTransaction._id;
-		  queuedItems.push(function(){tx.collectionIndex[obj.collection].remove(sel)});
-		  if (tx.collectionIndex[obj.collection].findOne({_id:obj._id,$and:[{transaction_id:{$exists:true}},{transaction_id:{$ne:lastTransaction._id}}]})) {
-			// Transaction has expired
-			Transactions.update({_id:lastTransaction._id},{$set:{expired:true}});
-			expired = true; // This is to tell the client that the transaction has expired and the undo was not executed
-		  }
+		  // The conflict check has made sure that none of the inserted fields have been edited since
+		  queuedItems.push({obj:obj,write:function(){tx.collectionIndex[obj.collection].remove({_id:obj._id})}});
 		});
 	  }
-	  // After an undo, we need to remove that transaction from the stack
-	  if (!expired) {
-		// Process queue
-		_.each(queuedItems,function(queuedItem) {
-		  queuedItem.call(); 
-		});
-		Transactions.update({_id:lastTransaction._id},{$set:{undone:(new Date).getTime()}});
+	  if (expired) {
+		return tx._methodFailure(invocation,'transaction-expired','Other edits have been made, so this action can no longer be reversed.',{transaction_id:lastTransaction._id});
 	  }
+	  if (!tx._runHooks('before','undo',lastTransaction,lastTransaction.items)) {
+		return tx._methodFailure(invocation,'undo-vetoed','The undo was vetoed.',{transaction_id:lastTransaction._id});
+	  }
+	  // After an undo, we need to remove that transaction from the stack
+	  tx._processQueue(invocation,queuedItems,'undo',lastTransaction);
+	  Transactions.update({_id:lastTransaction._id},{$set:{undone:(new Date).getTime()}});
+	  tx._runHooks('after','undo',Transactions.findOne({_id:lastTransaction._id}) || lastTransaction,lastTransaction.items);
+	  return tx._undoRedoResult(lastTransaction);
 	}
-	else if (lastTransaction) {
-	  // Auto clean - this transaction is empty
-	  Transactions.remove({_id:lastTransaction._id});	
-	}
-	return expired; // If the function returns true, the undo failed
+	// Auto clean - this transaction is empty
+	Transactions.remove({_id:lastTransaction._id});	
+	return tx._methodFailure(invocation,'nothing-to-undo','There is nothing to undo.');
   },
   
-  '_meteorTransactionsRedo' : function( id ) {
+  '_meteorTransactionsRedo' : function( id, options ) {
+	check(id,Match.Optional(Match.OneOf(String,null)));
+	check(options,Match.Optional(Match.ObjectIncluding({scope:Match.Optional(String)})));
 	if (tx.requireUser && !Meteor.userId()) {
-	  console.log('You must be logged in to redo actions.');
-	  return;
+	  throw new Meteor.Error('not-logged-in','You must be logged in to redo actions.');
 	}
 	// Get the latest undone transaction by this user and redo it
+	var invocation = this;
 	var expired = false;
 	var queuedItems = [];
 	var lastUndo;
 	if (id){
 		lastUndo = Transactions.find({_id: id}, {sort: {timestamp: -1}, limit:1}).fetch()[0];
+		if (lastUndo && !tx._canAccessTransaction(Meteor.userId(),lastUndo,'redo')) {
+		  throw new Meteor.Error('permission-denied','You are not allowed to redo this transaction.');
+		}
+		var refusal = lastUndo && tx._undoRedoRefusal(lastUndo,'redo');
+		if (refusal) {
+		  return tx._methodFailure(invocation,refusal.error,refusal.reason,{transaction_id:lastUndo._id});
+		}
 	} else {
-		lastUndo = Transactions.find({user_id:Meteor.userId(), undone:{$exists:true, $ne: null}, expired:{$exists:false}}, {sort: {undone: -1}, limit:1}).fetch()[0];
+		lastUndo = Transactions.find(tx._redoableSelector(options && options.scope), {sort: tx._redoSort(), limit:1}).fetch()[0];
 	}
-	if (lastUndo && typeof lastUndo.items !== 'undefined') {
-	  if (_.isArray(lastUndo.items.removed)) {
-		_.each(lastUndo.items.removed, function(obj) {
-		  if (obj.doc) {
-			// This document was removed using a hard	delete the first time
-			// We'll hard delete again, make no attempt to save any modifications that have happened to the document in the interim
-			queuedItems.push(function(){tx.collectionIndex[obj.collection].remove({_id:obj._id})});
-		  }
-		  else {
-			queuedItems.push(function(){tx.collectionIndex[obj.collection].update({_id:obj._id},{$set:{deleted:(new Date).getTime(),transaction_id:lastUndo._id}})});
-		  }
-		});
-	  }
-	  if (_.isArray(lastUndo.items.updated)) {
-		_.each(lastUndo.items.updated, function(obj) {// console.log("Redoing update: ", obj);
-		  if (typeof obj.update !== 'undefined' && obj.update.command && obj.update.data) {
-			var operation = {};
-			operation[obj.update.command] = tx._unpackageForUpdate(obj.update.data);// console.log(operation);
-			queuedItems.push(function(){tx.collectionIndex[obj.collection].update({_id:obj._id},operation)});
-		  }
-		});
-	  }
-	  if (_.isArray(lastUndo.items.inserted)) {
-		_.each(lastUndo.items.inserted, function(obj) {
-		  if (!tx.collectionIndex[obj.collection].find({_id:obj._id}).count()) {
-			var newDoc = _.extend(obj.newDoc,{transaction_id:lastUndo._id,_id:obj._id});
-			queuedItems.push(function(){tx.collectionIndex[obj.collection].insert(newDoc)});
-		  }
-		  else {
-			// This is an edited doc that was not removed on last undo
-			// Transaction has expired
-			Transactions.update({_id:lastUndo._id},{$set:{expired:true}});
-			expired = true; // This is to tell the client that the transaction has expired and the reodo was not executed
-		  }
-		});
-	  }
-	  // After a redo, we need to add that transaction to the stack again
-	  if (!expired) {
-		// Process queue
-		_.each(queuedItems,function(queuedItem) {
-		  queuedItem.call(); 
-		});
-		Transactions.update({_id:lastUndo._id},{$unset:{undone:1}}); // ,$set:{timestamp:(new Date).getTime()} -- LEADS TO UNEXPECTED RESULTS
-	  }
+	if (!lastUndo || typeof lastUndo.items === 'undefined') {
+	  return tx._methodFailure(invocation,(id && !lastUndo) ? 'not-found' : 'nothing-to-redo',(id && !lastUndo) ? 'That transaction doesn\'t exist.' : 'There is nothing to redo.');
+	}
+	if (tx._missingSnapshot(tx._withSnapshots(lastUndo.items))) {
+	  // The document could be removed again, but the transaction couldn't then be undone
+	  return tx._methodFailure(invocation,'snapshot-missing','A removed document couldn\'t be restored afterwards, as its snapshot is missing.',{transaction_id:lastUndo._id});
+	}
+	if (_.isArray(lastUndo.items.removed)) {
+	  _.each(lastUndo.items.removed, function(obj) {
+		if (obj.doc || obj.snapshot) {
+		  // This document was removed using a hard	delete the first time
+		  // We'll hard delete again, make no attempt to save any modifications that have happened to the document in the interim
+		  queuedItems.push({obj:obj,write:function(){tx.collectionIndex[obj.collection].remove({_id:obj._id})}});
+		}
+		else {
+		  queuedItems.push({obj:obj,write:function(){tx.collectionIndex[obj.collection].update({_id:obj._id},{$set:{deleted:(new Date).getTime(),transaction_id:lastUndo._id}})}});
+		}
+	  });
+	}
+	if (_.isArray(lastUndo.items.updated)) {
+	  _.each(lastUndo.items.updated, function(obj) {// console.log("Redoing update: ", obj);
+		var operation = tx._modifierFromRecord(obj.update);// console.log(operation);
+		if (!_.isEmpty(operation)) {
+		  queuedItems.push({obj:obj,write:function(){tx.collectionIndex[obj.collection].update({_id:obj._id},operation)}});
+		}
+	  });
+	}
+	if (_.isArray(lastUndo.items.inserted)) {
+	  _.each(lastUndo.items.inserted, function(obj) {
+		if (!tx.collectionIndex[obj.collection].find({_id:obj._id},{includeDeleted:true}).count()) {
+		  var newDoc = _.extend(obj.newDoc,{transaction_id:lastUndo._id,_id:obj._id});
+		  queuedItems.push({obj:obj,write:function(){tx.collectionIndex[obj.collection].insert(newDoc)}});
+		}
+		else {
+		  // This is an edited doc that was not removed on last undo
+		  // Transaction has expired
+		  Transactions.update({_id:lastUndo._id},{$set:{expired:true}});
+		  expired = true; // This is to tell the client that the transaction has expired and the reodo was not executed
+		}
+	  });
+	}
+	if (expired) {
+	  return tx._methodFailure(invocation,'transaction-expired','Other edits have been made, so this action can no longer be redone.',{transaction_id:lastUndo._id});
+	}
+	if (!tx._runHooks('before','redo',lastUndo,lastUndo.items)) {
+	  return tx._methodFailure(invocation,'redo-vetoed','The redo was vetoed.',{transaction_id:lastUndo._id});
 	}
-	return expired; // If the function returns true, the redo failed
+	// After a redo, we need to add that transaction to the stack again
+	tx._processQueue(invocation,queuedItems,'redo',lastUndo);
+	Transactions.update({_id:lastUndo._id},{$unset:{undone:1}}); // ,$set:{timestamp:(new Date).getTime()} -- LEADS TO UNEXPECTED RESULTS
+	tx._runHooks('after','redo',Transactions.findOne({_id:lastUndo._id}) || lastUndo,lastUndo.items);
+	return tx._undoRedoResult(lastUndo);
   }
   
 });
@@ -1005,6 +3124,24 @@ _.each(['insert', 'update', 'remove'], function(methodName) {
   };
 });
 
+// Wrap DB read methods, so that soft-deleted documents can be left out of the results (see tx.excludeDeleted)
+// Publications that return cursors from `find` get the same filtering
+
+_.each(['find', 'findOne'], function(methodName) {
+  var _super = Mongo.Collection.prototype[methodName];
+  Mongo.Collection.prototype[methodName] = function () {
+	var self = this, args = _.toArray(arguments); // self is the Mongo.Collection instance
+	var includeDeleted = _.isObject(args[1]) && args[1].includeDeleted;
+	if (_.isObject(args[1]) && _.has(args[1],'includeDeleted')) {
+	  args[1] = _.omit(args[1],'includeDeleted');
+	}
+	if (tx.excludeDeleted && !includeDeleted) {
+	  args[0] = tx._withoutDeleted(args[0]);
+	}
+	return _super.apply(self, args);
+  };
+});
+
 // Here we ensure the the tx object is aware of the apps collections and can access them by name
 // we use dburles:mongo-collection-instances package to do this.
 // We also check for the presence of SimpleSchema and extend the schema of existing
@@ -1013,11 +3150,14 @@ _.each(['insert', 'update', 'remove'], function(methodName) {
 Meteor.startup(function() {
   Meteor.defer(function() {
     tx.collectionIndex = _.reduce(Mongo.Collection.getAll(),function(memo,coll) { memo[coll.name] = coll.instance; return memo; },{});
+	if (Meteor.isServer) {
+	  tx._recoverTransactions();
+	}
 	if (typeof SimpleSchema !== 'undefined') {
 	  SimpleSchema.debug = true;
 	  _.each(tx.collectionIndex,function(collection) {
         if (_.isFunction(collection.simpleSchema)) {
-          collection.attachSchema({deleted:{type:Number,label:"Deleted",optional:true},transaction_id:{type:String,label:"transaction_id",optional:true},_id:{type:String,label: "_id",optional:true}});
+		  collection.attachSchema({deleted:{type:Number,label:"Deleted",optional:true},transaction_id:{type:String,label:"transaction_id",optional:true},pending_transactions:{type:[String],label:"Pending transactions",optional:true},_id:{type:String,label: "_id",optional:true}});
         }
 	  });
 	  if (_.isFunction(tx.Transactions.attachSchema)) {
@@ -1058,6 +3198,27 @@ Meteor.startup(function() {
 			type:Boolean,
 			label:"Expired",
 			optional:true
+		  },
+		  "state": {
+			type:String,
+			label:"State",
+			allowedValues:['pending','applying','applied','done'],
+			optional:true
+		  },
+		  "lastActivity": {
+			type:Number,
+			label:"Last activity",
+			optional:true
+		  },
+		  "scope": {
+			type:String,
+			label:"Scope",
+			optional:true
+		  },
+		  "superseded": {
+			type:Boolean,
+			label:"Superseded",
+			optional:true
 		  }
 		});
 		tx.Transactions.attachSchema(TransactionSchema);
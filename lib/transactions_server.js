@@ -1,7 +1,67 @@
 // TRANSACTIONS PUBLICATION
 
+// The user's transactions from the last tx.undoTimeLimit seconds (up to tx.publicationLimit of them, most recent first)
+// The time window moves forward while the subscription is running -- transactions are taken off the client as they age out
+
 Meteor.startup(function() {
   Meteor.publish('transactions', function () {
-    return Transactions.find({user_id: this.userId, timestamp: {$gt: ((new Date).getTime() - (tx.undoTimeLimit * 1000))}, expired:{$exists:false}}, {fields:{items:1,user_id:1,timestamp:1,undone:1,description:1}}, {sort: {timestamp: -1}});
+    var self = this;
+    var published = {}; // The timestamp of every transaction on the client, by _id
+    var options = {fields:{items:1,user_id:1,timestamp:1,undone:1,expired:1,superseded:1,description:1,scope:1,context:1,state:1}, sort: {timestamp: -1}};
+    if (tx.publicationLimit) {
+      options.limit = tx.publicationLimit;
+    }
+    var windowStart = function() {
+      return (new Date).getTime() - (tx.undoTimeLimit * 1000);
+    };
+    // A single observer runs for the whole subscription, from the start of the window when it began. Transactions that have aged out of
+    // the window since are still matched by it, but they're never on the client. The ones that age out are always the oldest, so
+    // tx.publicationLimit never needs filling from further back -- the observer (which applies the limit) already holds the newest ones
+    var handle = Transactions.find({user_id: self.userId, timestamp: {$gt: windowStart()}}, options).observeChanges({
+      added: function(id, fields) {
+        if (fields.timestamp > windowStart()) {
+          published[id] = fields.timestamp;
+          self.added('transactions', id, fields);
+        }
+      },
+      changed: function(id, fields) {
+        if (_.has(published, id)) {
+          self.changed('transactions', id, fields);
+        }
+      },
+      removed: function(id) {
+        if (_.has(published, id)) {
+          delete published[id];
+          self.removed('transactions', id);
+        }
+      }
+    });
+    // Transactions are taken off the client as they age out -- this only looks at what's been published, it doesn't query the database
+    var ageOut = Meteor.setInterval(function() {
+      var start = windowStart();
+      _.each(published, function(timestamp, id) {
+        if (timestamp <= start) {
+          delete published[id];
+          self.removed('transactions', id);
+        }
+      });
+    }, tx.publicationRefreshInterval);
+    self.ready();
+    self.onStop(function() {
+      Meteor.clearInterval(ageOut);
+      handle.stop();
+    });
   });
+});
+
+// TRANSACTIONS RETENTION
+
+Meteor.startup(function() {
+  // For the retention policies, the publication and the undo/redo stacks
+  Transactions._ensureIndex({user_id: 1, timestamp: -1});
+  Transactions._ensureIndex({timestamp: 1});
+  Transactions._ensureIndex({state: 1, timestamp: 1});
+  Meteor.setInterval(function() {
+    tx.purge();
+  }, tx.retentionInterval);
 });
\ No newline at end of file
@@ -11,10 +11,15 @@ Package.onUse(function (api, where) {
 
   api.use('jquery', 'client');
   api.use('tracker', 'client');
-  api.use('minimongo', 'client');
+  api.use('reactive-var', 'client');
+  api.use('minimongo');
   api.use('templating', 'client');
   api.use('spacebars', 'client');
   api.use('underscore');
+  api.use('ejson');
+  api.use('check');
+  api.use('random');
+  api.use('ddp');
   api.use('mongo');
   api.use('accounts-base');
   api.imply('mongo');
@@ -31,3 +36,38 @@ Package.onUse(function (api, where) {
   }
   
 });
+
+Package.onTest(function (api) {
+
+  api.use('tinytest');
+  api.use('underscore');
+  api.use('mongo');
+  api.use('ejson');
+  api.use('random');
+  api.use('gcacars:transactions');
+
+  api.add_files('tests/test_helpers.js', 'server');
+  api.add_files('tests/inverse_tests.js', 'server');
+  api.add_files('tests/state_tests.js', 'server');
+  api.add_files('tests/conflict_tests.js', 'server');
+  api.add_files('tests/server_authoritative_tests.js', 'server');
+  api.add_files('tests/log_tests.js', 'server');
+  api.add_files('tests/recovery_tests.js', 'server');
+  api.add_files('tests/publication_tests.js', 'server');
+  api.add_files('tests/multi_tests.js', 'server');
+  api.add_files('tests/upsert_tests.js', 'server');
+  api.add_files('tests/cascade_tests.js', 'server');
+  api.add_files('tests/positional_tests.js', 'server');
+  api.add_files('tests/replacement_tests.js', 'server');
+  api.add_files('tests/history_tests.js', 'server');
+  api.add_files('tests/savepoint_tests.js', 'server');
+  api.add_files('tests/scope_tests.js', 'server');
+  api.add_files('tests/ownership_tests.js', 'server');
+  api.add_files('tests/error_tests.js', 'server');
+  api.add_files('tests/stack_tests.js', 'server');
+  api.add_files('tests/retention_tests.js', 'server');
+  api.add_files('tests/hook_tests.js', 'server');
+  api.add_files('tests/snapshot_tests.js', 'server');
+  api.add_files('tests/filtering_tests.js', 'server');
+
+});
@@ -0,0 +1,77 @@
+// CASCADING REMOVES
+
+Tinytest.add('transactions - cascade - removing a doc removes its dependents to any depth, and undo restores them all', function(test) {
+  var relations = tx._relations;
+  tx._relations = {};
+  try {
+    runInMethod(function() {
+      // Likes belong to a post and (optionally) to one of its comments, so some of them are reached twice
+      tx.relations({transactions_test_posts: {transactions_test_comments: 'postId', transactions_test_likes: 'postId'}, transactions_test_comments: {transactions_test_likes: 'commentId'}});
+      TestPosts.insert({_id: 'p1'});
+      TestPosts.insert({_id: 'p2'});
+      TestComments.insert({_id: 'c1', postId: 'p1'});
+      TestComments.insert({_id: 'c2', postId: 'p1'});
+      TestComments.insert({_id: 'c3', postId: 'p2'});
+      TestLikes.insert({_id: 'l1', postId: 'p1', commentId: 'c1'});
+      TestLikes.insert({_id: 'l2', postId: 'p1'});
+      TestLikes.insert({_id: 'l3', postId: 'p2', commentId: 'c3'});
+      var transaction_id = inTransaction('remove post', function() {
+        tx.remove(TestPosts, 'p1');
+      });
+      test.equal(_.pluck(TestPosts.find().fetch(), '_id'), ['p2']);
+      test.equal(_.pluck(TestComments.find().fetch(), '_id'), ['c3']);
+      test.equal(_.pluck(TestLikes.find().fetch(), '_id'), ['l3']);
+      test.equal(tx.Transactions.findOne({_id: transaction_id}).items.removed.length, 5);
+      test.isNull(undoTransaction(transaction_id));
+      test.equal(_.pluck(TestPosts.find({}, {sort: {_id: 1}}).fetch(), '_id'), ['p1', 'p2']);
+      test.equal(_.pluck(TestComments.find({}, {sort: {_id: 1}}).fetch(), '_id'), ['c1', 'c2', 'c3']);
+      test.equal(_.pluck(TestLikes.find({}, {sort: {_id: 1}}).fetch(), '_id'), ['l1', 'l2', 'l3']);
+    });
+  }
+  finally {
+    tx._relations = relations;
+  }
+});
+
+Tinytest.add('transactions - cascade - {cascade:false} leaves the dependents alone', function(test) {
+  var relations = tx._relations;
+  tx._relations = {};
+  try {
+    runInMethod(function() {
+      tx.relations({transactions_test_posts: {transactions_test_comments: 'postId'}});
+      TestPosts.insert({_id: 'p1'});
+      TestComments.insert({_id: 'c1', postId: 'p1'});
+      inTransaction('remove post only', function() {
+        tx.remove(TestPosts, 'p1', {cascade: false});
+      });
+      test.equal(TestPosts.find().count(), 0);
+      test.equal(TestComments.find().count(), 1);
+    });
+  }
+  finally {
+    tx._relations = relations;
+  }
+});
+
+Tinytest.add('transactions - cascade - a cycle in the data is only followed once', function(test) {
+  var relations = tx._relations;
+  tx._relations = {};
+  try {
+    runInMethod(function() {
+      tx.relations({transactions_test_comments: {transactions_test_comments: 'parentId'}});
+      TestComments.insert({_id: 'c1', parentId: 'c2'});
+      TestComments.insert({_id: 'c2', parentId: 'c1'});
+      TestComments.insert({_id: 'c3', parentId: 'c2'});
+      var transaction_id = inTransaction('remove thread', function() {
+        tx.remove(TestComments, 'c1');
+      });
+      test.equal(TestComments.find().count(), 0);
+      test.equal(tx.Transactions.findOne({_id: transaction_id}).items.removed.length, 3);
+      test.isNull(undoTransaction(transaction_id));
+      test.equal(TestComments.find().count(), 3);
+    });
+  }
+  finally {
+    tx._relations = relations;
+  }
+});
@@ -0,0 +1,83 @@
+// CONFLICTS
+
+Tinytest.add('transactions - conflicts - only changes to the fields an update wrote stop it being undone', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a', body: 'a'});
+    TestPosts.insert({_id: 'b', title: 'b', body: 'b'});
+    var first = inTransaction('edit title of a', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'A'}});
+    });
+    var second = inTransaction('edit title of b', function() {
+      tx.update(TestPosts, 'b', {$set: {title: 'B'}});
+    });
+    TestPosts.update({_id: 'a'}, {$set: {body: 'changed'}});
+    TestPosts.update({_id: 'b'}, {$set: {title: 'changed'}});
+    test.equal(undoTransaction(second), 'transaction-expired');
+    test.isTrue(tx.Transactions.findOne({_id: second}).expired);
+    test.isNull(undoTransaction(first));
+    test.equal(_.pick(TestPosts.findOne({_id: 'a'}), 'title', 'body'), {title: 'a', body: 'changed'});
+  });
+});
+
+Tinytest.add('transactions - conflicts - a field added to an inserted doc stops the insert being undone', function(test) {
+  runInMethod(function() {
+    var transaction_id = inTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    TestPosts.update({_id: 'a'}, {$set: {body: 'b'}});
+    test.equal(undoTransaction(transaction_id), 'transaction-expired');
+    test.isTrue(!!TestPosts.findOne({_id: 'a'}));
+  });
+});
+
+Tinytest.add('transactions - conflicts - a change to an inserted field stops the insert being undone', function(test) {
+  runInMethod(function() {
+    var transaction_id = inTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    TestPosts.update({_id: 'a'}, {$set: {title: 'b'}});
+    test.equal(undoTransaction(transaction_id), 'transaction-expired');
+    test.isTrue(!!TestPosts.findOne({_id: 'a'}));
+  });
+});
+
+Tinytest.add('transactions - conflicts - an insert can be undone once the later transactions on the doc have been undone', function(test) {
+  runInMethod(function() {
+    var insert = inTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    var addBody = inTransaction('add body', function() {
+      tx.update(TestPosts, 'a', {$set: {body: 'b'}});
+    });
+    var editTitle = inTransaction('edit title', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'A'}});
+    });
+    test.isNull(undoTransaction(editTitle));
+    test.isNull(undoTransaction(addBody));
+    test.isNull(undoTransaction(insert));
+    test.isUndefined(TestPosts.findOne({_id: 'a'}));
+  });
+});
+
+Tinytest.add('transactions - conflicts - later writes made by the same transaction don\'t stop it being undone', function(test) {
+  runInMethod(function() {
+    var transaction_id = inTransaction('insert and edit', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+      tx.update(TestPosts, 'a', {$set: {title: 'b', body: 'c'}});
+    });
+    test.isNull(undoTransaction(transaction_id));
+    test.isUndefined(TestPosts.findOne({_id: 'a'}));
+  });
+});
+
+Tinytest.add('transactions - conflicts - a doc updated and then removed by the same transaction can be brought back', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('edit and remove', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+      tx.remove(TestPosts, 'a');
+    });
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+  });
+});
@@ -0,0 +1,124 @@
+// RESULTS AND ERROR CODES
+
+Tinytest.add('transactions - errors - a refused permission rolls back the commit with the permission-denied code', function(test) {
+  var checkPermission = tx.checkPermission;
+  tx.checkPermission = function(command, collection, doc, modifier) {
+    return command !== 'remove';
+  };
+  try {
+    runInMethod(function() {
+      TestPosts.insert({_id: 'a', title: 'a'});
+      var results = [];
+      var transaction_id = tx.start('refused');
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}}, {instant: true});
+      tx.remove(TestPosts, 'a');
+      tx.commit(function(err, res) {
+        results.push([err && err.error, res, this.transaction_id]);
+      });
+      test.equal(results, [['permission-denied', false, transaction_id]]);
+      test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), {_id: 'a', title: 'a'});
+      test.isUndefined(tx.Transactions.findOne({_id: transaction_id}));
+    });
+  }
+  finally {
+    tx.checkPermission = checkPermission;
+  }
+});
+
+Tinytest.add('transactions - errors - committing with no transaction open fails with no-transactions-open', function(test) {
+  runInMethod(function() {
+    var error = null;
+    tx.commit(function(err) {
+      error = err;
+    });
+    test.equal(error.error, 'no-transactions-open');
+  });
+});
+
+Tinytest.add('transactions - errors - a commit reports the writes it made', function(test) {
+  runInMethod(function() {
+    var data = null;
+    var transaction_id = tx.start('insert');
+    tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    tx.commit(function(err, res) {
+      data = {err: err, res: res, transaction_id: this.transaction_id, inserted: this.writes.inserted.length};
+    });
+    test.equal(data, {err: null, res: 'a', transaction_id: transaction_id, inserted: 1});
+  });
+});
+
+Tinytest.add('transactions - errors - undo and redo return the transaction and the documents they changed', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('edit and add', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+      tx.insert(TestPosts, {_id: 'b'});
+    });
+    var result = Meteor.call('_meteorTransactionsUndo', transaction_id);
+    test.equal(result.transaction_id, transaction_id);
+    test.equal(result.description, 'edit and add');
+    test.equal(_.sortBy(result.documents, 'action'), [
+      {collection: 'transactions_test_posts', _id: 'b', action: 'insert'},
+      {collection: 'transactions_test_posts', _id: 'a', action: 'update'}
+    ]);
+    test.equal(Meteor.call('_meteorTransactionsRedo', transaction_id).transaction_id, transaction_id);
+  });
+});
+
+// Writes that fail part way through an undo or redo (see _processQueue)
+
+var queued = function(collection, _id, write) {
+  return {obj: {collection: collection._name, _id: _id}, write: write};
+};
+
+var failingWrite = function() {
+  throw new Error('write failed');
+};
+
+Tinytest.add('transactions - errors - the writes made before a failing one are put back', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    TestPosts.insert({_id: 'b', title: 'b'});
+    var transaction = {_id: 'failing_undo'};
+    var invocation = {isSimulation: false};
+    try {
+      tx._processQueue(invocation, [
+        queued(TestPosts, 'a', function() { TestPosts.update({_id: 'a'}, {$set: {title: 'changed'}}); }),
+        queued(TestPosts, 'b', function() { TestPosts.remove({_id: 'b'}); }),
+        queued(TestPosts, 'c', function() { TestPosts.insert({_id: 'c'}); }),
+        queued(TestPosts, 'd', failingWrite)
+      ], 'undo', transaction);
+      test.fail('the undo should have failed');
+    }
+    catch (err) {
+      test.equal(err.error, 'undo-failed');
+      test.equal(err.details, {transaction_id: 'failing_undo'});
+    }
+    test.equal(_.map(TestPosts.find({}, {sort: {_id: 1}}).fetch(), withoutManagedFields), [{_id: 'a', title: 'a'}, {_id: 'b', title: 'b'}]);
+  });
+});
+
+Tinytest.add('transactions - errors - a failed undo whose writes can\'t be put back expires the transaction', function(test) {
+  runInMethod(function() {
+    // A stand-in for a collection that can be read but not written to
+    var readOnly = {_name: 'transactions_test_read_only', findOne: function() { return {_id: 'x'}; }, insert: failingWrite, update: failingWrite, remove: failingWrite};
+    tx.collectionIndex[readOnly._name] = readOnly;
+    tx.Transactions.insert({_id: 'failing_redo', user_id: null, timestamp: (new Date).getTime(), description: 'failing', state: 'done'});
+    try {
+      tx._processQueue({isSimulation: false}, [
+        queued(TestPosts, 'a', function() { TestPosts.insert({_id: 'a'}); }),
+        queued(readOnly, 'x', failingWrite)
+      ], 'redo', {_id: 'failing_redo'});
+      test.fail('the redo should have failed');
+    }
+    catch (err) {
+      test.equal(err.error, 'redo-failed');
+      test.equal(err.details, {transaction_id: 'failing_redo', partial: true});
+    }
+    finally {
+      delete tx.collectionIndex[readOnly._name];
+    }
+    test.isTrue(tx.Transactions.findOne({_id: 'failing_redo'}).expired);
+    tx.Transactions.remove({_id: 'failing_redo'});
+  });
+});
@@ -0,0 +1,81 @@
+// LEAVING SOFT-DELETED DOCUMENTS OUT OF READS (tx.excludeDeleted)
+
+var withExcludeDeleted = function(excludeDeleted, func) {
+  var previous = tx.excludeDeleted;
+  tx.excludeDeleted = excludeDeleted;
+  try {
+    runInMethod(func);
+  }
+  finally {
+    tx.excludeDeleted = previous;
+  }
+};
+
+// Inserts a and b, then soft deletes b
+
+var insertAndSoftDelete = function() {
+  TestPosts.insert({_id: 'a', title: 'a'});
+  TestPosts.insert({_id: 'b', title: 'b'});
+  return inTransaction('remove b', function() {
+    tx.remove(TestPosts, 'b', {softDelete: true});
+  });
+};
+
+var ids = function(cursor) {
+  return _.pluck(cursor.fetch(), '_id').sort();
+};
+
+Tinytest.add('transactions - filtering - soft-deleted documents are returned by default', function(test) {
+  withExcludeDeleted(false, function() {
+    insertAndSoftDelete();
+    test.equal(ids(TestPosts.find()), ['a', 'b']);
+    test.equal(TestPosts.findOne('b')._id, 'b');
+  });
+});
+
+Tinytest.add('transactions - filtering - excludeDeleted leaves soft-deleted documents out of find and findOne', function(test) {
+  withExcludeDeleted(true, function() {
+    insertAndSoftDelete();
+    test.equal(ids(TestPosts.find()), ['a']);
+    test.equal(ids(TestPosts.find({title: 'b'})), []);
+    test.equal(TestPosts.find({}, {sort: {_id: 1}}).count(), 1);
+    test.isUndefined(TestPosts.findOne('b'));
+    test.isUndefined(TestPosts.findOne({_id: 'b'}));
+    test.equal(TestPosts.findOne()._id, 'a');
+  });
+});
+
+Tinytest.add('transactions - filtering - includeDeleted gets soft-deleted documents anyway', function(test) {
+  withExcludeDeleted(true, function() {
+    insertAndSoftDelete();
+    test.equal(ids(TestPosts.find({}, {includeDeleted: true})), ['a', 'b']);
+    test.isTrue(_.isNumber(TestPosts.findOne('b', {includeDeleted: true}).deleted));
+    // The option isn't passed on to mongo
+    test.equal(_.keys(TestPosts.findOne('b', {includeDeleted: true, fields: {title: 1}})).sort(), ['_id', 'title']);
+  });
+});
+
+Tinytest.add('transactions - filtering - selectors that mention the deleted field are left alone', function(test) {
+  withExcludeDeleted(true, function() {
+    insertAndSoftDelete();
+    test.equal(ids(TestPosts.find({deleted: {$exists: true}})), ['b']);
+  });
+});
+
+Tinytest.add('transactions - filtering - soft removes can still be undone and redone with excludeDeleted', function(test) {
+  withExcludeDeleted(true, function() {
+    var transaction_id = insertAndSoftDelete();
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(ids(TestPosts.find()), ['a', 'b']);
+    test.isNull(redoTransaction(transaction_id));
+    test.equal(ids(TestPosts.find()), ['a']);
+  });
+});
+
+Tinytest.add('transactions - filtering - updates and removes still reach soft-deleted documents', function(test) {
+  withExcludeDeleted(true, function() {
+    insertAndSoftDelete();
+    TestPosts.update({_id: 'b'}, {$set: {title: 'B'}});
+    test.equal(TestPosts.findOne('b', {includeDeleted: true}).title, 'B');
+  });
+});
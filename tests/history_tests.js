@@ -0,0 +1,87 @@
+// HISTORY AND RESTORE
+
+// Transactions are ordered by their timestamps, so each one in these tests is given a millisecond of its own
+
+var laterTransaction = function(description, func) {
+  Meteor._sleepForMs(5);
+  return inTransaction(description, func);
+};
+
+Tinytest.add('transactions - history - lists every action on a doc, oldest first, with the values before and after', function(test) {
+  runInMethod(function() {
+    var inserted = laterTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    var updated = laterTransaction('edit', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b', body: 'c'}});
+    });
+    var history = tx.history(TestPosts, 'a');
+    test.equal(_.pluck(history, 'transaction_id'), [inserted, updated]);
+    test.equal(_.pluck(history, 'action'), ['insert', 'update']);
+    test.equal(history[0].after, {title: 'a'});
+    test.equal(history[1].before, {title: 'a'});
+    test.equal(history[1].after, {title: 'b', body: 'c'});
+    test.isFalse(history[1].undone);
+    test.isNull(undoTransaction(updated));
+    test.isTrue(tx.history('transactions_test_posts', 'a')[1].undone);
+  });
+});
+
+Tinytest.add('transactions - history - the actions in a transaction are listed in the order they were made', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'old'});
+    laterTransaction('replace a', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'edited'}});
+      tx.remove(TestPosts, 'a');
+      tx.insert(TestPosts, {_id: 'a', title: 'new'});
+    });
+    var history = tx.history(TestPosts, 'a');
+    test.equal(_.pluck(history, 'action'), ['update', 'remove', 'insert']);
+    test.equal(history[1].before.title, 'edited');
+  });
+});
+
+Tinytest.add('transactions - restore - puts a doc back the way it was after a transaction, as a transaction that can be undone', function(test) {
+  runInMethod(function() {
+    laterTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    var point = laterTransaction('edit title', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+    });
+    laterTransaction('edit again', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'c', body: 'x'}});
+    });
+    Meteor._sleepForMs(5);
+    tx.restore(TestPosts, 'a', point);
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), {_id: 'a', title: 'b'});
+    var restore = tx.Transactions.findOne({description: 'restore transactions_test_post'}, {sort: {timestamp: -1}});
+    test.isNull(undoTransaction(restore._id));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), {_id: 'a', title: 'c', body: 'x'});
+  });
+});
+
+Tinytest.add('transactions - restore - brings back a removed doc and removes one that was inserted later', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    Meteor._sleepForMs(5);
+    var before = (new Date).getTime();
+    laterTransaction('remove a and add b', function() {
+      tx.remove(TestPosts, 'a');
+      tx.insert(TestPosts, {_id: 'b', title: 'b'});
+    });
+    Meteor._sleepForMs(5);
+    tx.restore(TestPosts, 'a', before);
+    tx.restore('transactions_test_posts', 'b', new Date(before));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), {_id: 'a', title: 'a'});
+    test.isUndefined(TestPosts.findOne({_id: 'b'}));
+  });
+});
+
+Tinytest.add('transactions - restore - an unknown transaction is an error', function(test) {
+  runInMethod(function() {
+    test.throws(function() {
+      tx.restore(TestPosts, 'a', 'no_such_transaction');
+    }, 'transaction-not-found');
+  });
+});
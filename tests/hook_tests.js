@@ -0,0 +1,132 @@
+// HOOKS FOR COMMIT, ROLLBACK, UNDO AND REDO
+
+// Registers hooks for the length of a test -- each one is [<"before", "after" or "on">, <event>, <function>]
+
+var withHooks = function(hooks, func) {
+  var handles = _.map(hooks, function(hook) {
+    return tx[hook[0]](hook[1], hook[2]);
+  });
+  try {
+    runInMethod(func);
+  }
+  finally {
+    _.invoke(handles, 'remove');
+  }
+};
+
+Tinytest.add('transactions - hooks - commit hooks get the transaction document and its items', function(test) {
+  var calls = [];
+  var record = function(name) {
+    return function(transaction, items) {
+      calls.push({name: name, transaction_id: transaction._id, description: transaction.description, inserted: _.pluck(items.inserted, '_id')});
+    };
+  };
+  withHooks([['before', 'commit', record('before')], ['after', 'commit', record('after')], ['on', 'commit', record('on')]], function() {
+    var transaction_id = inTransaction('add a', function() {
+      tx.insert(TestPosts, {_id: 'a'});
+    });
+    test.equal(calls, [
+      // The queued insert hasn't been made when the before hooks run
+      {name: 'before', transaction_id: transaction_id, description: 'add a', inserted: []},
+      {name: 'after', transaction_id: transaction_id, description: 'add a', inserted: ['a']},
+      {name: 'on', transaction_id: transaction_id, description: 'add a', inserted: ['a']}
+    ]);
+  });
+});
+
+Tinytest.add('transactions - hooks - a before commit hook can veto the commit', function(test) {
+  var after = 0;
+  withHooks([['before', 'commit', function() { return false; }], ['after', 'commit', function() { after++; }]], function() {
+    var error = null;
+    var transaction_id = tx.start('vetoed');
+    tx.insert(TestPosts, {_id: 'a'}, {instant: true});
+    tx.insert(TestPosts, {_id: 'b'});
+    tx.commit(function(err) {
+      error = err;
+    });
+    test.equal(error.error, 'transaction-vetoed');
+    test.equal(TestPosts.find().count(), 0);
+    test.isUndefined(tx.Transactions.findOne({_id: transaction_id}));
+    test.equal(after, 0);
+  });
+});
+
+Tinytest.add('transactions - hooks - a before hook that throws vetoes the commit too', function(test) {
+  withHooks([['before', 'commit', function() { throw new Error('not now'); }]], function() {
+    var error = null;
+    tx.start('vetoed');
+    tx.insert(TestPosts, {_id: 'a'});
+    tx.commit(function(err) {
+      error = err;
+    });
+    test.equal(error.error, 'transaction-vetoed');
+    test.equal(TestPosts.find().count(), 0);
+  });
+});
+
+Tinytest.add('transactions - hooks - before undo and redo hooks can veto them', function(test) {
+  var veto = true;
+  var undone = [];
+  var vetoIfAsked = function() {
+    return !veto;
+  };
+  withHooks([['before', 'undo', vetoIfAsked], ['before', 'redo', vetoIfAsked], ['after', 'undo', function(transaction) { undone.push(transaction.undone); }]], function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('edit a', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+    });
+    test.equal(undoTransaction(transaction_id), 'undo-vetoed');
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'b');
+    test.equal(undone, []);
+    veto = false;
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+    // The after hook sees the transaction as it is once it's been undone
+    test.equal(undone.length, 1);
+    test.isTrue(!!undone[0]);
+    veto = true;
+    test.equal(redoTransaction(transaction_id), 'redo-vetoed');
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+    veto = false;
+    test.isNull(redoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'b');
+  });
+});
+
+Tinytest.add('transactions - hooks - a before rollback hook can veto tx.rollback()', function(test) {
+  var veto = true;
+  var rolledBack = [];
+  withHooks([['before', 'rollback', function() { return !veto; }], ['after', 'rollback', function(transaction, items) { rolledBack.push(_.pluck(items.inserted, '_id')); }]], function() {
+    var transaction_id = tx.start('rolled back');
+    tx.insert(TestPosts, {_id: 'a'}, {instant: true});
+    test.isFalse(tx.rollback());
+    test.equal(tx._transaction_id, transaction_id);
+    test.isTrue(!!TestPosts.findOne({_id: 'a'}));
+    veto = false;
+    test.isTrue(tx.rollback());
+    test.isFalse(tx.transactionStarted());
+    test.isUndefined(TestPosts.findOne({_id: 'a'}));
+    test.equal(rolledBack, [['a']]);
+  });
+});
+
+Tinytest.add('transactions - hooks - hooks can only be registered for known events', function(test) {
+  test.throws(function() {
+    tx.before('insert', function() {});
+  }, 'invalid-hook');
+  test.throws(function() {
+    tx.after('commit', 'not a function');
+  }, 'invalid-hook');
+});
+
+Tinytest.add('transactions - hooks - a removed hook is no longer called', function(test) {
+  var calls = 0;
+  var handle = tx.after('commit', function() { calls++; });
+  handle.remove();
+  runInMethod(function() {
+    inTransaction('add a', function() {
+      tx.insert(TestPosts, {_id: 'a'});
+    });
+  });
+  test.equal(calls, 0);
+});
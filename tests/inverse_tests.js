@@ -0,0 +1,46 @@
+// INVERSES OF UPDATE OPERATORS
+
+// Makes an update (directly, so mongo itself applies the operators) and then its inverse, as worked out by tx
+// The document should end up exactly as it was
+
+var expectExactInverse = function(test, doc, modifier) {
+  var _id = TestPosts.insert(doc);
+  var before = TestPosts.findOne({_id: _id});
+  var inverse = tx._modifierFromRecord(tx._packageForStorage(tx._inverseUpdate(before, modifier)));
+  TestPosts.update({_id: _id}, modifier);
+  if (!_.isEmpty(inverse)) {
+    TestPosts.update({_id: _id}, inverse);
+  }
+  test.equal(TestPosts.findOne({_id: _id}), before);
+};
+
+var inverseTests = {
+  '$set on existing and new fields': [{title: 'a', meta: {views: 1}}, {$set: {title: 'b', 'meta.views': 2, 'meta.tags.first': 'x', subtitle: 'c'}}],
+  '$unset': [{title: 'a', meta: {views: 1}}, {$unset: {title: '', 'meta.views': '', missing: ''}}],
+  '$inc': [{n: 1}, {$inc: {n: 5, m: 2}}],
+  '$mul': [{n: 3}, {$mul: {n: 4, m: 2}}],
+  '$min': [{low: 5, high: 5}, {$min: {low: 2, high: 9, other: 1}}],
+  '$max': [{low: 5, high: 5}, {$max: {low: 2, high: 9, other: 1}}],
+  '$currentDate': [{updated: new Date(0)}, {$currentDate: {updated: true, created: {$type: 'date'}}}],
+  '$rename': [{a: 1, nested: {b: 2}}, {$rename: {a: 'z', 'nested.b': 'nested.c'}}],
+  '$setOnInsert (no effect on an update)': [{n: 1}, {$setOnInsert: {n: 2, m: 3}}],
+  '$push': [{tags: ['a', 'b']}, {$push: {tags: 'c', others: 'x'}}],
+  '$push with $each, $slice and $position': [{tags: ['a', 'b', 'c', 'd']}, {$push: {tags: {$each: ['x', 'y'], $position: 1, $slice: 4}}}],
+  '$push with $each and $sort': [{scores: [{s: 3}, {s: 1}]}, {$push: {scores: {$each: [{s: 2}], $sort: {s: 1}, $slice: 5}}}],
+  '$addToSet': [{tags: ['a']}, {$addToSet: {tags: {$each: ['a', 'b']}}}],
+  '$pop from the end': [{tags: ['a', 'b', 'c']}, {$pop: {tags: 1}}],
+  '$pop from the start': [{tags: ['a', 'b', 'c']}, {$pop: {tags: -1}}],
+  '$pull': [{tags: ['a', 'b', 'a', 'c'], scores: [1, 5, 9]}, {$pull: {tags: 'a', scores: {$gte: 5}}}],
+  '$pullAll': [{tags: ['a', 'b', 'a', 'c']}, {$pullAll: {tags: ['a', 'c']}}],
+  '$bit': [{flags: 5}, {$bit: {flags: {and: 4}}}],
+  'array elements by index': [{items: [{qty: 1}, {qty: 2}]}, {$set: {'items.1.qty': 3, 'items.2': {qty: 4}}}],
+  'several operators at once': [{n: 1, tags: ['a'], title: 'a'}, {$inc: {n: 1}, $push: {tags: 'b'}, $unset: {title: ''}, $set: {body: 'b'}}]
+};
+
+_.each(inverseTests, function(args, name) {
+  Tinytest.add('transactions - inverse - ' + name, function(test) {
+    runInMethod(function() {
+      expectExactInverse(test, args[0], args[1]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+// EXPORTING, IMPORTING AND REPLAYING TRANSACTIONS
+
+var exportedTransaction = function(transaction_id) {
+  return _.findWhere(EJSON.parse(tx.exportLog({collection: 'transactions_test_posts'}, {format: 'json'})), {_id: transaction_id});
+};
+
+Tinytest.add('transactions - log - exported records carry the removed documents themselves', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('remove', function() {
+      tx.remove(TestPosts, 'a');
+    });
+    var exported = exportedTransaction(transaction_id);
+    test.equal(withoutManagedFields(exported.items.removed[0].doc), {_id: 'a', title: 'a'});
+  });
+});
+
+Tinytest.add('transactions - log - import leaves transactions that are already there alone', function(test) {
+  runInMethod(function() {
+    var transaction_id = inTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    var exported = exportedTransaction(transaction_id);
+    test.equal(tx.importLog([exported]), 0);
+    tx.Transactions.remove({_id: transaction_id});
+    test.equal(tx.importLog([exported]), 1);
+    test.equal(tx.Transactions.findOne({_id: transaction_id}).description, 'insert');
+  });
+});
+
+Tinytest.add('transactions - log - replay makes the writes in the order they were made', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'old'});
+    TestComments.insert({_id: 'a', title: 'old'});
+    var transaction_id = inTransaction('replace a', function() {
+      tx.remove(TestPosts, 'a');
+      tx.insert(TestPosts, {_id: 'a', title: 'new'});
+      tx.update(TestPosts, 'a', {$set: {body: 'b'}});
+    });
+    var replayed = tx.replay([exportedTransaction(transaction_id)], {collectionMap: {transactions_test_posts: TestComments}});
+    test.equal(replayed, 1);
+    test.equal(_.pick(TestComments.findOne({_id: 'a'}), 'title', 'body'), {title: 'new', body: 'b'});
+  });
+});
+
+Tinytest.add('transactions - log - replay skips undone transactions and reports the one that fails', function(test) {
+  runInMethod(function() {
+    var undone = inTransaction('undone insert', function() {
+      tx.insert(TestPosts, {_id: 'a', title: 'a'});
+    });
+    test.isNull(undoTransaction(undone));
+    var failing = inTransaction('insert', function() {
+      tx.insert(TestPosts, {_id: 'b', title: 'b'});
+    });
+    test.equal(tx.replay([exportedTransaction(undone)]), 0);
+    try {
+      tx.replay([exportedTransaction(failing)]);
+      test.fail('replay of an insert of a doc that is already there should fail');
+    }
+    catch (err) {
+      test.equal(err.error, 'replay-failed');
+      test.equal(err.details, {transaction_id: failing, replayed: 0});
+    }
+  });
+});
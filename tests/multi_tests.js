@@ -0,0 +1,44 @@
+// UPDATES AND REMOVES WITH A SELECTOR
+
+Tinytest.add('transactions - multi - update with {multi:true} is undone by a single undo', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', status: 'draft', n: 1});
+    TestPosts.insert({_id: 'b', status: 'draft', n: 2});
+    TestPosts.insert({_id: 'c', status: 'live', n: 3});
+    var transaction_id = inTransaction('publish all', function() {
+      tx.update(TestPosts, {status: 'draft'}, {$set: {status: 'live'}, $inc: {n: 10}}, {multi: true});
+    });
+    test.equal(_.pluck(TestPosts.find({}, {sort: {_id: 1}}).fetch(), 'n'), [11, 12, 3]);
+    test.equal(tx.Transactions.findOne({_id: transaction_id}).items.updated.length, 2);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(_.map(TestPosts.find({}, {sort: {_id: 1}}).fetch(), function(doc) { return [doc.status, doc.n]; }), [['draft', 1], ['draft', 2], ['live', 3]]);
+  });
+});
+
+Tinytest.add('transactions - multi - update without {multi:true} only touches the first match', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', status: 'draft'});
+    TestPosts.insert({_id: 'b', status: 'draft'});
+    inTransaction('publish one', function() {
+      tx.update(TestPosts, {status: 'draft'}, {$set: {status: 'live'}});
+    });
+    test.equal(TestPosts.find({status: 'live'}).count(), 1);
+  });
+});
+
+Tinytest.add('transactions - multi - remove with a selector removes every match and undo restores them', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', status: 'draft', title: 'A'});
+    TestPosts.insert({_id: 'b', status: 'draft', title: 'B'});
+    TestPosts.insert({_id: 'c', status: 'live', title: 'C'});
+    var before = TestPosts.find({}, {sort: {_id: 1}}).fetch();
+    var transaction_id = inTransaction('remove drafts', function() {
+      tx.remove(TestPosts, {status: 'draft'});
+    });
+    test.equal(_.pluck(TestPosts.find().fetch(), '_id'), ['c']);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(_.map(TestPosts.find({}, {sort: {_id: 1}}).fetch(), withoutManagedFields), before);
+    test.isNull(redoTransaction(transaction_id));
+    test.equal(_.pluck(TestPosts.find().fetch(), '_id'), ['c']);
+  });
+});
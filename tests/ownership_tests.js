@@ -0,0 +1,71 @@
+// OWNERSHIP OF TRANSACTIONS AND UNDO/REDO BY ID
+
+var someoneElses = function() {
+  var transaction_id = inTransaction('edit', function() {
+    tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+  });
+  tx.Transactions.update({_id: transaction_id}, {$set: {user_id: 'someone_else'}});
+  return transaction_id;
+};
+
+Tinytest.add('transactions - ownership - other users\' transactions can\'t be undone or redone by id', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = someoneElses();
+    test.equal(undoTransaction(transaction_id), 'permission-denied');
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'b');
+    tx.Transactions.update({_id: transaction_id}, {$set: {undone: (new Date).getTime()}});
+    test.equal(redoTransaction(transaction_id), 'permission-denied');
+  });
+});
+
+Tinytest.add('transactions - ownership - tx.checkTransactionAccess can let users at other users\' transactions', function(test) {
+  var checkTransactionAccess = tx.checkTransactionAccess;
+  var checks = [];
+  tx.checkTransactionAccess = function(userId, action, transaction) {
+    checks.push([userId, action, transaction.user_id]);
+    return true;
+  };
+  try {
+    runInMethod(function() {
+      TestPosts.insert({_id: 'a', title: 'a'});
+      var transaction_id = someoneElses();
+      test.isNull(undoTransaction(transaction_id));
+      test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+      test.isNull(redoTransaction(transaction_id));
+      test.equal(TestPosts.findOne({_id: 'a'}).title, 'b');
+      test.equal(checks, [[null, 'undo', 'someone_else'], [null, 'redo', 'someone_else']]);
+    });
+  }
+  finally {
+    tx.checkTransactionAccess = checkTransactionAccess;
+  }
+});
+
+Tinytest.add('transactions - ownership - undo and redo by id are refused for transactions that aren\'t on the stack', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('edit', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+    });
+    test.equal(redoTransaction(transaction_id), 'not-undone');
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(undoTransaction(transaction_id), 'already-undone');
+    test.equal(undoTransaction('no_such_transaction'), 'not-found');
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: 'applying'}});
+    test.equal(redoTransaction(transaction_id), 'transaction-in-progress');
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: 'done', expired: true}});
+    test.equal(redoTransaction(transaction_id), 'transaction-expired');
+  });
+});
+
+Tinytest.add('transactions - ownership - the arguments of undo and redo are checked', function(test) {
+  runInMethod(function() {
+    test.throws(function() {
+      Meteor.call('_meteorTransactionsUndo', {$gt: ''});
+    });
+    test.throws(function() {
+      Meteor.call('_meteorTransactionsRedo', null, {scope: 1});
+    });
+  });
+});
@@ -0,0 +1,40 @@
+// POSITIONAL FIELD NAMES
+
+Tinytest.add('transactions - positional - $ is resolved against the selector', function(test) {
+  runInMethod(function() {
+    var _id = TestPosts.insert({items: [{qty: 1}, {qty: 7}, {qty: 2}]});
+    var transaction_id = inTransaction('positional', function() {
+      tx.update(TestPosts, {_id: _id, 'items.qty': 7}, {$set: {'items.$.qty': 8}});
+    });
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 1}, {qty: 8}, {qty: 2}]);
+    test.equal(tx.Transactions.findOne({_id: transaction_id}).items.updated[0].fields, ['items.1.qty']);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 1}, {qty: 7}, {qty: 2}]);
+    test.isNull(redoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 1}, {qty: 8}, {qty: 2}]);
+  });
+});
+
+Tinytest.add('transactions - positional - $[] touches every element', function(test) {
+  runInMethod(function() {
+    var _id = TestPosts.insert({items: [{qty: 1}, {qty: 2}]});
+    var transaction_id = inTransaction('all positional', function() {
+      tx.update(TestPosts, _id, {$inc: {'items.$[].qty': 10}});
+    });
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 11}, {qty: 12}]);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 1}, {qty: 2}]);
+  });
+});
+
+Tinytest.add('transactions - positional - $[<identifier>] with arrayFilters', function(test) {
+  runInMethod(function() {
+    var _id = TestPosts.insert({items: [{qty: 1}, {qty: 9}, {qty: 3}]});
+    var transaction_id = inTransaction('filtered positional', function() {
+      tx.update(TestPosts, _id, {$set: {'items.$[low].qty': 0}}, {arrayFilters: [{'low.qty': {$lt: 5}}]});
+    });
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 0}, {qty: 9}, {qty: 0}]);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: _id}).items, [{qty: 1}, {qty: 9}, {qty: 3}]);
+  });
+});
@@ -0,0 +1,74 @@
+// TRANSACTIONS PUBLICATION
+
+// Runs the publication with a stand-in for the subscription, which keeps what would be on the client
+
+var subscribe = function(userId) {
+  var subscription = {
+    userId: userId,
+    docs: {},
+    added: function(collectionName, id, fields) {
+      this.docs[id] = fields;
+    },
+    changed: function(collectionName, id, fields) {
+      _.extend(this.docs[id], fields);
+    },
+    removed: function(collectionName, id) {
+      delete this.docs[id];
+    },
+    ready: function() {},
+    onStop: function(func) {
+      this.stop = func;
+    }
+  };
+  Meteor.server.publish_handlers['transactions'].call(subscription);
+  return subscription;
+};
+
+Tinytest.addAsync('transactions - publication - transactions are taken off the client as they age out of the window', function(test, onComplete) {
+  var undoTimeLimit = tx.undoTimeLimit;
+  var publicationRefreshInterval = tx.publicationRefreshInterval;
+  tx.undoTimeLimit = 2;
+  tx.publicationRefreshInterval = 50;
+  var now = (new Date).getTime();
+  tx.Transactions.insert({_id: 'pub_old', user_id: 'publication_test', timestamp: now - 3000, description: 'old', state: 'done'});
+  tx.Transactions.insert({_id: 'pub_ageing', user_id: 'publication_test', timestamp: now - 1500, description: 'ageing', state: 'done'});
+  tx.Transactions.insert({_id: 'pub_other', user_id: 'someone_else', timestamp: now, description: 'other', state: 'done'});
+  var subscription = subscribe('publication_test');
+  var finish = function() {
+    subscription.stop();
+    tx.undoTimeLimit = undoTimeLimit;
+    tx.publicationRefreshInterval = publicationRefreshInterval;
+    tx.Transactions.remove({_id: {$in: ['pub_old', 'pub_ageing', 'pub_other', 'pub_new']}});
+    onComplete();
+  };
+  test.equal(_.keys(subscription.docs), ['pub_ageing']);
+  tx.Transactions.insert({_id: 'pub_new', user_id: 'publication_test', timestamp: (new Date).getTime(), description: 'new', state: 'done'});
+  tx.Transactions.update({_id: 'pub_ageing'}, {$set: {undone: 1}});
+  Meteor.setTimeout(function() {
+    test.equal(_.keys(subscription.docs).sort(), ['pub_ageing', 'pub_new']);
+    test.equal(subscription.docs.pub_ageing.undone, 1);
+    Meteor.setTimeout(function() {
+      test.equal(_.keys(subscription.docs), ['pub_new']);
+      finish();
+    }, 600);
+  }, 250);
+});
+
+Tinytest.addAsync('transactions - publication - only the latest publicationLimit transactions are published', function(test, onComplete) {
+  var publicationLimit = tx.publicationLimit;
+  tx.publicationLimit = 2;
+  var now = (new Date).getTime();
+  _.each([3, 2, 1], function(age) {
+    tx.Transactions.insert({_id: 'pub_limit_' + age, user_id: 'publication_test', timestamp: now - age * 1000, description: 'limit', state: 'done'});
+  });
+  var subscription = subscribe('publication_test');
+  tx.publicationLimit = publicationLimit;
+  test.equal(_.keys(subscription.docs).sort(), ['pub_limit_1', 'pub_limit_2']);
+  tx.Transactions.remove({_id: 'pub_limit_1'});
+  Meteor.setTimeout(function() {
+    test.equal(_.keys(subscription.docs).sort(), ['pub_limit_2', 'pub_limit_3']);
+    subscription.stop();
+    tx.Transactions.remove({_id: {$in: ['pub_limit_2', 'pub_limit_3']}});
+    onComplete();
+  }, 250);
+});
@@ -0,0 +1,63 @@
+// TWO-PHASE COMMIT AND RECOVERY
+
+Tinytest.add('transactions - recovery - a committed transaction is done and leaves no pending markers', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('edit and add', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+      tx.insert(TestPosts, {_id: 'b', title: 'b'});
+    });
+    test.equal(tx.Transactions.findOne({_id: transaction_id}).state, 'done');
+    test.equal(TestPosts.find({pending_transactions: {$exists: true}}).count(), 0);
+  });
+});
+
+Tinytest.add('transactions - recovery - a doc written and then removed in the same transaction comes back without a pending marker', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = inTransaction('edit and remove', function() {
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+      tx.remove(TestPosts, 'a');
+    });
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), {_id: 'a', title: 'a'});
+    test.isFalse(_.has(TestPosts.findOne({_id: 'a'}), 'pending_transactions'));
+    tx.start('edit and remove, then roll back');
+    tx.update(TestPosts, 'a', {$set: {title: 'b'}}, {instant: true});
+    tx.remove(TestPosts, 'a', {instant: true});
+    tx.rollback();
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), {_id: 'a', title: 'a'});
+    test.isFalse(_.has(TestPosts.findOne({_id: 'a'}), 'pending_transactions'));
+  });
+});
+
+Tinytest.add('transactions - recovery - abandoned commits are finished or rolled back and open transactions are left alone', function(test) {
+  runInMethod(function() {
+    var now = (new Date).getTime();
+    var old = now - tx.idleTimeout - tx.recoveryDelay - 60000;
+    TestPosts.insert({_id: 'applying', title: 'new', pending_transactions: ['tx_applying']});
+    TestPosts.insert({_id: 'applied', title: 'new', pending_transactions: ['tx_applied']});
+    var updated = function(_id) {
+      return {updated: [{collection: 'transactions_test_posts', _id: _id, seq: 0, fields: ['title'],
+        update: [{command: '$set', data: [{key: 'title', value: 'new'}]}], inverse: [{command: '$set', data: [{key: 'title', value: 'old'}]}]}]};
+    };
+    tx.Transactions.insert({_id: 'tx_applying', user_id: null, description: 'applying', timestamp: old, lastActivity: old, state: 'applying', items: updated('applying')});
+    tx.Transactions.insert({_id: 'tx_applied', user_id: null, description: 'applied', timestamp: old, lastActivity: old, state: 'applied', items: updated('applied')});
+    tx.Transactions.insert({_id: 'tx_idle', user_id: null, description: 'idle', timestamp: old, lastActivity: old, state: 'pending'});
+    tx.Transactions.insert({_id: 'tx_busy', user_id: null, description: 'busy', timestamp: old, lastActivity: now, state: 'pending'});
+    tx.Transactions.insert({_id: 'tx_client', user_id: null, description: 'client', timestamp: old, state: 'pending'});
+    try {
+      tx._recoverTransactions();
+      test.isUndefined(tx.Transactions.findOne({_id: 'tx_applying'}));
+      test.equal(_.pick(TestPosts.findOne({_id: 'applying'}), 'title', 'pending_transactions'), {title: 'old'});
+      test.equal(tx.Transactions.findOne({_id: 'tx_applied'}).state, 'done');
+      test.equal(_.pick(TestPosts.findOne({_id: 'applied'}), 'title', 'pending_transactions'), {title: 'new'});
+      test.isUndefined(tx.Transactions.findOne({_id: 'tx_idle'}));
+      test.equal(tx.Transactions.findOne({_id: 'tx_busy'}).state, 'pending');
+      test.equal(tx.Transactions.findOne({_id: 'tx_client'}).state, 'pending');
+    }
+    finally {
+      tx.Transactions.remove({_id: {$in: ['tx_applying', 'tx_applied', 'tx_idle', 'tx_busy', 'tx_client']}});
+    }
+  });
+});
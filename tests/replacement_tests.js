@@ -0,0 +1,31 @@
+// WHOLE-DOCUMENT REPLACEMENTS
+
+Tinytest.add('transactions - replacement - undo and redo of a whole-document replacement', function(test) {
+  runInMethod(function() {
+    var _id = TestPosts.insert({title: 'a', body: 'b', tags: ['x']});
+    var before = withoutManagedFields(TestPosts.findOne({_id: _id}));
+    var transaction_id = inTransaction('replace', function() {
+      tx.update(TestPosts, _id, {title: 'new', summary: 's'});
+    });
+    var after = withoutManagedFields(TestPosts.findOne({_id: _id}));
+    test.equal(after, {_id: _id, title: 'new', summary: 's'});
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: _id})), before);
+    test.isNull(redoTransaction(transaction_id));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: _id})), after);
+  });
+});
+
+Tinytest.add('transactions - replacement - the record lists the fields that were set and the ones that were taken away', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a', body: 'b'});
+    var transaction_id = inTransaction('replace', function() {
+      tx.update(TestPosts, 'a', {_id: 'a', title: 'new'});
+    });
+    var record = tx.Transactions.findOne({_id: transaction_id}).items.updated[0];
+    test.equal(record.fields.sort(), ['body', 'title']);
+    test.equal(tx._modifierFromRecord(record.update), {$set: {title: 'new'}, $unset: {body: ''}});
+    TestPosts.update({_id: 'a'}, {$set: {body: 'back again'}});
+    test.equal(undoTransaction(transaction_id), 'transaction-expired');
+  });
+});
@@ -0,0 +1,105 @@
+// RETENTION POLICIES AND PURGING
+
+var day = 24 * 60 * 60 * 1000;
+
+var withRetention = function(settings, func) {
+  var previous = _.pick(tx, 'retentionMaxAge', 'retentionInactiveMaxAge', 'retentionMaxPerUser');
+  _.extend(tx, {retentionMaxAge: 0, retentionInactiveMaxAge: 0, retentionMaxPerUser: 0}, settings);
+  try {
+    runInMethod(func);
+  }
+  finally {
+    _.extend(tx, previous);
+  }
+};
+
+var ageBy = function(transaction_id, days) {
+  tx.Transactions.update({_id: transaction_id}, {$inc: {timestamp: -days * day}});
+};
+
+var recorded = function(transaction_id) {
+  return !!tx.Transactions.findOne({_id: transaction_id});
+};
+
+Tinytest.add('transactions - retention - records older than retentionMaxAge are removed', function(test) {
+  withRetention({retentionMaxAge: 5}, function() {
+    var old = inTransaction('old', function() {
+      tx.insert(TestPosts, {_id: 'a'});
+    });
+    var recent = inTransaction('recent', function() {
+      tx.insert(TestPosts, {_id: 'b'});
+    });
+    ageBy(old, 10);
+    test.isTrue(tx.purge() >= 1);
+    test.isFalse(recorded(old));
+    test.isTrue(recorded(recent));
+    // The documents themselves are left alone
+    test.equal(TestPosts.find().count(), 2);
+  });
+});
+
+Tinytest.add('transactions - retention - only undone, expired or superseded records are removed after retentionInactiveMaxAge', function(test) {
+  withRetention({retentionInactiveMaxAge: 5}, function() {
+    var active = inTransaction('active', function() {
+      tx.insert(TestPosts, {_id: 'a'});
+    });
+    var undone = inTransaction('undone', function() {
+      tx.insert(TestPosts, {_id: 'b'});
+    });
+    var expired = inTransaction('expired', function() {
+      tx.insert(TestPosts, {_id: 'c'});
+    });
+    test.isNull(undoTransaction(undone));
+    tx.Transactions.update({_id: expired}, {$set: {expired: true}});
+    _.each([active, undone, expired], function(transaction_id) {
+      ageBy(transaction_id, 10);
+    });
+    tx.purge();
+    test.isTrue(recorded(active));
+    test.isFalse(recorded(undone));
+    test.isFalse(recorded(expired));
+  });
+});
+
+Tinytest.add('transactions - retention - only the most recent retentionMaxPerUser records are kept', function(test) {
+  withRetention({retentionMaxPerUser: 2}, function() {
+    var ids = _.map(['a', 'b', 'c'], function(_id) {
+      Meteor._sleepForMs(5);
+      return inTransaction('add ' + _id, function() {
+        tx.insert(TestPosts, {_id: _id});
+      });
+    });
+    tx.purge();
+    test.equal(_.map(ids, recorded), [false, true, true]);
+  });
+});
+
+Tinytest.add('transactions - retention - documents still soft deleted by a removed record are purged for good', function(test) {
+  withRetention({retentionMaxAge: 5}, function() {
+    TestPosts.insert({_id: 'a'});
+    TestPosts.insert({_id: 'b'});
+    var removed = inTransaction('remove both', function() {
+      tx.remove(TestPosts, 'a', {softDelete: true});
+      tx.remove(TestPosts, 'b', {softDelete: true});
+    });
+    // b is brought back outside the transaction, so it's no longer deleted by it
+    TestPosts.update({_id: 'b'}, {$unset: {deleted: 1, transaction_id: 1}});
+    ageBy(removed, 10);
+    tx.purge();
+    test.isFalse(recorded(removed));
+    test.isUndefined(TestPosts.findOne({_id: 'a'}, {includeDeleted: true}));
+    test.isTrue(!!TestPosts.findOne({_id: 'b'}));
+  });
+});
+
+Tinytest.add('transactions - retention - transactions that are still open are never removed', function(test) {
+  withRetention({retentionMaxAge: 5}, function() {
+    var open = tx.start('open');
+    tx.insert(TestPosts, {_id: 'a'}, {instant: true});
+    ageBy(open, 10);
+    tx.purge();
+    test.isTrue(recorded(open));
+    tx.rollback();
+    test.isFalse(recorded(open));
+  });
+});
@@ -0,0 +1,70 @@
+// NESTED TRANSACTIONS AND SAVEPOINTS
+
+Tinytest.add('transactions - nested - a nested transaction commits into its parent as a single undo step', function(test) {
+  runInMethod(function() {
+    var transaction_id = tx.start('outer');
+    tx.insert(TestPosts, {_id: 'a'});
+    test.isFalse(tx.start('inner'));
+    tx.insert(TestPosts, {_id: 'b'});
+    tx.commit();
+    test.equal(TestPosts.find().count(), 0);
+    test.isTrue(tx.transactionStarted());
+    tx.commit();
+    test.isFalse(tx.transactionStarted());
+    test.equal(TestPosts.find().count(), 2);
+    test.equal(tx.Transactions.findOne({_id: transaction_id}).items.inserted.length, 2);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.find().count(), 0);
+  });
+});
+
+Tinytest.add('transactions - nested - rolling back a nested transaction leaves its parent open', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    tx.start('outer');
+    tx.insert(TestPosts, {_id: 'b'});
+    tx.start('inner');
+    tx.update(TestPosts, 'a', {$set: {title: 'instant'}}, {instant: true});
+    tx.insert(TestPosts, {_id: 'c'});
+    test.isTrue(tx.rollback());
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+    test.isTrue(tx.transactionStarted());
+    tx.commit();
+    test.equal(_.pluck(TestPosts.find({}, {sort: {_id: 1}}).fetch(), '_id'), ['a', 'b']);
+  });
+});
+
+Tinytest.add('transactions - savepoints - rollbackTo undoes everything done since the savepoint and keeps the rest', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    var transaction_id = tx.start('with savepoint');
+    tx.update(TestPosts, 'a', {$set: {title: 'b'}}, {instant: true});
+    test.isTrue(tx.savepoint('row'));
+    tx.update(TestPosts, 'a', {$set: {title: 'c'}}, {instant: true});
+    tx.insert(TestPosts, {_id: 'b'}, {instant: true});
+    tx.insert(TestPosts, {_id: 'c'});
+    test.isTrue(tx.rollbackTo('row'));
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'b');
+    test.isUndefined(TestPosts.findOne({_id: 'b'}));
+    // The savepoint is kept, so it can be rolled back to again
+    tx.insert(TestPosts, {_id: 'd'}, {instant: true});
+    test.isTrue(tx.rollbackTo('row'));
+    tx.commit();
+    test.equal(_.pluck(TestPosts.find().fetch(), '_id'), ['a']);
+    test.equal(TestPosts.find({pending_transactions: {$exists: true}}).count(), 0);
+    var items = tx.Transactions.findOne({_id: transaction_id}).items;
+    test.equal(items.updated.length, 1);
+    test.equal((items.inserted || []).length, 0);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+  });
+});
+
+Tinytest.add('transactions - savepoints - savepoints need an open transaction and a known name', function(test) {
+  runInMethod(function() {
+    test.isFalse(tx.savepoint('nowhere'));
+    tx.start('no savepoints');
+    test.isFalse(tx.rollbackTo('unknown'));
+    tx.rollback();
+  });
+});
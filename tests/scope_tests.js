@@ -0,0 +1,59 @@
+// SCOPED UNDO STACKS
+
+// Every test transaction belongs to the same (missing) user, so each test uses scopes of its own
+
+var undoInScope = function(scope) {
+  Meteor.call('_meteorTransactionsUndo', null, (scope) ? {scope: scope} : undefined);
+};
+
+var redoInScope = function(scope) {
+  Meteor.call('_meteorTransactionsRedo', null, (scope) ? {scope: scope} : undefined);
+};
+
+Tinytest.add('transactions - scopes - undo and redo with a scope only touch the transactions in that scope', function(test) {
+  runInMethod(function() {
+    var editor = 'editor_' + Random.id();
+    var sidebar = 'sidebar_' + Random.id();
+    TestPosts.insert({_id: 'a', title: 'a'});
+    TestPosts.insert({_id: 'b', title: 'b'});
+    var inEditor = tx.start('edit a', {scope: editor});
+    tx.update(TestPosts, 'a', {$set: {title: 'A'}});
+    tx.commit();
+    Meteor._sleepForMs(5);
+    // A single action is given a scope in its options
+    TestPosts.update({_id: 'b'}, {$set: {title: 'B'}}, {tx: {scope: sidebar}});
+    test.equal(tx.Transactions.findOne({_id: inEditor}).scope, editor);
+    test.equal(_.pluck(tx.undoStack({scope: editor}), 'transaction_id'), [inEditor]);
+    test.equal(tx.undoStack({scope: sidebar})[0].scope, sidebar);
+    undoInScope(editor);
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+    test.equal(TestPosts.findOne({_id: 'b'}).title, 'B');
+    test.equal(tx.undoStack({scope: editor}).length, 0);
+    test.equal(_.pluck(tx.redoStack({scope: editor}), 'transaction_id'), [inEditor]);
+    test.equal(tx.redoStack({scope: sidebar}).length, 0);
+    redoInScope(editor);
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'A');
+  });
+});
+
+Tinytest.add('transactions - scopes - undo without a scope works across all of the user\'s transactions', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'a'});
+    Meteor._sleepForMs(5);
+    TestPosts.update({_id: 'a'}, {$set: {title: 'A'}}, {tx: {scope: 'scope_' + Random.id()}});
+    undoInScope(undefined);
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+  });
+});
+
+Tinytest.add('transactions - scopes - undo in a scope with nothing in it fails with nothing-to-undo', function(test) {
+  runInMethod(function() {
+    try {
+      undoInScope('empty_' + Random.id());
+      test.fail('undo in an empty scope should fail');
+    }
+    catch (err) {
+      test.equal(err.error, 'nothing-to-undo');
+    }
+  });
+});
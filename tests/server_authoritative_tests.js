@@ -0,0 +1,77 @@
+// RECORDS BUILT ON THE SERVER FOR CLIENT TRANSACTIONS (tx.serverAuthoritative)
+
+// Runs a test with a snapshot store that keeps its snapshots in memory, so the test can see what's left in it
+
+var withMemorySnapshots = function(body) {
+  var snapshotStore = tx.snapshotStore;
+  var snapshots = {};
+  tx.snapshotStore = {
+    save: function(doc) {
+      var reference = Random.id();
+      snapshots[reference] = EJSON.clone(doc);
+      return reference;
+    },
+    load: function(reference) {
+      return snapshots[reference];
+    },
+    remove: function(reference) {
+      delete snapshots[reference];
+    }
+  };
+  try {
+    body(snapshots);
+  }
+  finally {
+    tx.snapshotStore = snapshotStore;
+  }
+};
+
+var openClientTransaction = function(transaction_id) {
+  tx.Transactions.insert({_id: transaction_id, user_id: null, timestamp: (new Date).getTime(), description: 'client', state: 'pending'});
+};
+
+var prepare = function(transaction_id, type, collectionName, _id, data) {
+  Meteor.call('_meteorTransactionsPrepare', transaction_id, type, collectionName, _id, data, false);
+};
+
+Tinytest.add('transactions - server authoritative - the record of an update is built from the document on the server', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', title: 'server'});
+    openClientTransaction('client_update');
+    prepare('client_update', 'updated', 'transactions_test_posts', 'a', {updates: {$set: {title: 'new'}}});
+    var record = tx.Transactions.findOne({_id: 'client_update'}).items.updated[0];
+    test.equal(tx._modifierFromRecord(record.inverse), {$set: {title: 'server'}});
+    test.equal(record.fields, ['title']);
+    tx.Transactions.remove({_id: 'client_update'});
+  });
+});
+
+Tinytest.add('transactions - server authoritative - a refused action discards the snapshots already saved for the transaction', function(test) {
+  runInMethod(function() {
+    withMemorySnapshots(function(snapshots) {
+      TestPosts.insert({_id: 'a', title: 'a'});
+      openClientTransaction('client_refused');
+      prepare('client_refused', 'removed', 'transactions_test_posts', 'a', {softDelete: false});
+      test.equal(_.size(snapshots), 1);
+      test.throws(function() {
+        prepare('client_refused', 'updated', 'transactions_test_posts', 'missing', {updates: {$set: {title: 'b'}}});
+      }, 'permission-denied');
+      test.isUndefined(tx.Transactions.findOne({_id: 'client_refused'}));
+      test.equal(_.size(snapshots), 0);
+    });
+  });
+});
+
+Tinytest.add('transactions - server authoritative - removing an open transaction discards its snapshots', function(test) {
+  runInMethod(function() {
+    withMemorySnapshots(function(snapshots) {
+      TestPosts.insert({_id: 'a', title: 'a'});
+      openClientTransaction('client_removed');
+      prepare('client_removed', 'removed', 'transactions_test_posts', 'a', {softDelete: false});
+      test.equal(_.size(snapshots), 1);
+      Meteor.call('_meteorTransactionsRemove', 'client_removed');
+      test.isUndefined(tx.Transactions.findOne({_id: 'client_removed'}));
+      test.equal(_.size(snapshots), 0);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// SNAPSHOTS OF HARD-DELETED DOCUMENTS
+
+// Runs a test with a snapshot store that keeps its snapshots in memory, so the test can see what's in it
+
+var withMemorySnapshots = function(body) {
+  var snapshotStore = tx.snapshotStore;
+  var snapshots = {};
+  tx.snapshotStore = {
+    save: function(doc) {
+      var reference = Random.id();
+      snapshots[reference] = EJSON.clone(doc);
+      return reference;
+    },
+    load: function(reference) {
+      return snapshots[reference];
+    },
+    remove: function(reference) {
+      delete snapshots[reference];
+    }
+  };
+  try {
+    runInMethod(function() {
+      body(snapshots);
+    });
+  }
+  finally {
+    tx.snapshotStore = snapshotStore;
+  }
+};
+
+var removedItems = function(transaction_id) {
+  return tx.Transactions.findOne({_id: transaction_id}).items.removed;
+};
+
+var post = {_id: 'a', title: 'a', body: 'some text', meta: {created: new Date(0), tags: ['x', 'y']}};
+
+Tinytest.add('transactions - snapshots - the record of a hard remove only holds a reference to the snapshot', function(test) {
+  withMemorySnapshots(function(snapshots) {
+    TestPosts.insert(post);
+    var transaction_id = inTransaction('remove a', function() {
+      tx.remove(TestPosts, 'a', {softDelete: false});
+    });
+    var removed = removedItems(transaction_id);
+    test.equal(removed.length, 1);
+    test.isUndefined(removed[0].doc);
+    test.equal(_.keys(snapshots), [removed[0].snapshot]);
+    test.equal(withoutManagedFields(snapshots[removed[0].snapshot]), post);
+  });
+});
+
+Tinytest.add('transactions - snapshots - undo and redo load the snapshot', function(test) {
+  withMemorySnapshots(function(snapshots) {
+    TestPosts.insert(post);
+    var transaction_id = inTransaction('remove a', function() {
+      tx.remove(TestPosts, 'a', {softDelete: false});
+    });
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), post);
+    // The snapshot is kept for as long as the transaction can be redone and undone again
+    test.equal(_.size(snapshots), 1);
+    test.isNull(redoTransaction(transaction_id));
+    test.isUndefined(TestPosts.findOne({_id: 'a'}));
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), post);
+  });
+});
+
+Tinytest.add('transactions - snapshots - a rolled back remove discards its snapshot', function(test) {
+  withMemorySnapshots(function(snapshots) {
+    TestPosts.insert(post);
+    tx.start('remove a');
+    tx.remove(TestPosts, 'a', {softDelete: false, instant: true});
+    test.equal(_.size(snapshots), 1);
+    tx.rollback();
+    test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), post);
+    test.equal(_.size(snapshots), 0);
+  });
+});
+
+Tinytest.add('transactions - snapshots - undo fails with snapshot-missing if the snapshot has gone', function(test) {
+  withMemorySnapshots(function(snapshots) {
+    TestPosts.insert(post);
+    var transaction_id = inTransaction('remove a', function() {
+      tx.remove(TestPosts, 'a', {softDelete: false});
+    });
+    _.each(_.keys(snapshots), function(reference) {
+      delete snapshots[reference];
+    });
+    test.equal(undoTransaction(transaction_id), 'snapshot-missing');
+    test.isUndefined(TestPosts.findOne({_id: 'a'}));
+  });
+});
+
+Tinytest.add('transactions - snapshots - with no snapshot store, the removed document is embedded in the record', function(test) {
+  var snapshotStore = tx.snapshotStore;
+  tx.snapshotStore = null;
+  try {
+    runInMethod(function() {
+      TestPosts.insert(post);
+      var transaction_id = inTransaction('remove a', function() {
+        tx.remove(TestPosts, 'a', {softDelete: false});
+      });
+      var removed = removedItems(transaction_id);
+      test.isUndefined(removed[0].snapshot);
+      test.equal(withoutManagedFields(removed[0].doc), post);
+      test.isNull(undoTransaction(transaction_id));
+      test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), post);
+    });
+  }
+  finally {
+    tx.snapshotStore = snapshotStore;
+  }
+});
+
+Tinytest.add('transactions - snapshots - the default store keeps snapshots compressed with compressSnapshots', function(test) {
+  var compressSnapshots = tx.compressSnapshots;
+  tx.compressSnapshots = true;
+  try {
+    runInMethod(function() {
+      TestPosts.insert(post);
+      var transaction_id = inTransaction('remove a', function() {
+        tx.remove(TestPosts, 'a', {softDelete: false});
+      });
+      var reference = removedItems(transaction_id)[0].snapshot;
+      var stored = tx.Snapshots.findOne({_id: reference});
+      test.isUndefined(stored.doc);
+      test.isTrue(stored.compressed.length > 0);
+      test.isNull(undoTransaction(transaction_id));
+      test.equal(withoutManagedFields(TestPosts.findOne({_id: 'a'})), post);
+    });
+  }
+  finally {
+    tx.compressSnapshots = compressSnapshots;
+  }
+});
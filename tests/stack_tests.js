@@ -0,0 +1,112 @@
+// STANDARD UNDO/REDO STACKS AND MAXIMUM DEPTH
+
+// Every test transaction belongs to the same (missing) user, so each test keeps to a scope of its own
+
+var withStackSettings = function(settings, func) {
+  var previous = {standardUndoStack: tx.standardUndoStack, maxDepth: tx.maxDepth};
+  _.extend(tx, settings);
+  try {
+    runInMethod(func);
+  }
+  finally {
+    _.extend(tx, previous);
+  }
+};
+
+// Commits one update per title, a few milliseconds apart, and returns the transaction _ids in order
+
+var commitTitles = function(scope, titles) {
+  if (!TestPosts.findOne({_id: 'a'})) {
+    TestPosts.insert({_id: 'a', title: ''});
+  }
+  return _.map(titles, function(title) {
+    Meteor._sleepForMs(5);
+    var transaction_id = tx.start('set title to ' + title, {scope: scope});
+    tx.update(TestPosts, 'a', {$set: {title: title}});
+    tx.commit();
+    return transaction_id;
+  });
+};
+
+var insertInScope = function(scope, doc) {
+  var transaction_id = tx.start('add ' + doc._id, {scope: scope});
+  tx.insert(TestPosts, doc);
+  tx.commit();
+  return transaction_id;
+};
+
+var stackIds = function(stack) {
+  return _.pluck(stack, 'transaction_id');
+};
+
+Tinytest.add('transactions - stacks - by default a new transaction leaves the redo stack alone', function(test) {
+  withStackSettings({standardUndoStack: false, maxDepth: 0}, function() {
+    var scope = 'stack_' + Random.id();
+    var ids = commitTitles(scope, ['a', 'b']);
+    test.isNull(undoTransaction(ids[1]));
+    Meteor._sleepForMs(5);
+    var later = insertInScope(scope, {_id: 'b'});
+    test.equal(stackIds(tx.redoStack({scope: scope})), [ids[1]]);
+    test.isUndefined(tx.Transactions.findOne({_id: ids[1]}).superseded);
+    test.equal(stackIds(tx.undoStack({scope: scope})), [later, ids[0]]);
+  });
+});
+
+Tinytest.add('transactions - stacks - with standardUndoStack, a new transaction supersedes the redo stack', function(test) {
+  withStackSettings({standardUndoStack: true, maxDepth: 0}, function() {
+    var scope = 'stack_' + Random.id();
+    var ids = commitTitles(scope, ['a', 'b', 'c']);
+    test.isNull(undoTransaction(ids[2]));
+    test.isNull(undoTransaction(ids[1]));
+    Meteor._sleepForMs(5);
+    var later = commitTitles(scope, ['d']);
+    test.equal(tx.redoStack({scope: scope}).length, 0);
+    test.isTrue(tx.Transactions.findOne({_id: ids[1]}).superseded);
+    test.isTrue(tx.Transactions.findOne({_id: ids[2]}).superseded);
+    test.equal(redoTransaction(ids[1]), 'transaction-superseded');
+    test.equal(stackIds(tx.undoStack({scope: scope})), [later[0], ids[0]]);
+  });
+});
+
+Tinytest.add('transactions - stacks - with standardUndoStack, redo goes back through the undone transactions in reverse', function(test) {
+  withStackSettings({standardUndoStack: true, maxDepth: 0}, function() {
+    var scope = 'stack_' + Random.id();
+    var ids = commitTitles(scope, ['a', 'b', 'c']);
+    _.each([ids[2], ids[1], ids[0]], function(transaction_id) {
+      test.isNull(undoTransaction(transaction_id));
+      Meteor._sleepForMs(5);
+    });
+    test.equal(stackIds(tx.redoStack({scope: scope})), ids);
+    Meteor.call('_meteorTransactionsRedo', null, {scope: scope});
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+    Meteor.call('_meteorTransactionsRedo', null, {scope: scope});
+    test.equal(TestPosts.findOne({_id: 'a'}).title, 'b');
+    test.equal(stackIds(tx.redoStack({scope: scope})), [ids[2]]);
+  });
+});
+
+Tinytest.add('transactions - stacks - maxDepth supersedes the oldest transactions on the undo stack', function(test) {
+  withStackSettings({standardUndoStack: false, maxDepth: 2}, function() {
+    var scope = 'stack_' + Random.id();
+    var other = 'stack_' + Random.id();
+    var elsewhere = insertInScope(other, {_id: 'b'});
+    var ids = commitTitles(scope, ['a', 'b', 'c']);
+    test.equal(stackIds(tx.undoStack({scope: scope})), [ids[2], ids[1]]);
+    test.isTrue(tx.Transactions.findOne({_id: ids[0]}).superseded);
+    test.equal(undoTransaction(ids[0]), 'transaction-superseded');
+    // Other undo stacks keep their own depth
+    test.equal(stackIds(tx.undoStack({scope: other})), [elsewhere]);
+  });
+});
+
+Tinytest.add('transactions - stacks - undone transactions don\'t count towards maxDepth', function(test) {
+  withStackSettings({standardUndoStack: false, maxDepth: 2}, function() {
+    var scope = 'stack_' + Random.id();
+    var ids = commitTitles(scope, ['a', 'b']);
+    test.isNull(undoTransaction(ids[1]));
+    Meteor._sleepForMs(5);
+    var later = commitTitles(scope, ['c']);
+    test.equal(stackIds(tx.undoStack({scope: scope})), [later[0], ids[0]]);
+    test.equal(stackIds(tx.redoStack({scope: scope})), [ids[1]]);
+  });
+});
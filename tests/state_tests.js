@@ -0,0 +1,59 @@
+// TRANSACTION STATE ON THE SERVER
+
+Tinytest.add('transactions - state - tx.isolate gets a transaction state of its own', function(test) {
+  runInMethod(function() {
+    var transaction_id = tx.start('outer');
+    tx.isolate(function() {
+      test.isFalse(tx.transactionStarted());
+      inTransaction('isolated', function() {
+        tx.insert(TestPosts, {_id: 'isolated'});
+      });
+    });
+    test.equal(tx._transaction_id, transaction_id);
+    test.equal(TestPosts.find().count(), 1);
+    tx.rollback();
+    test.equal(TestPosts.find().count(), 1);
+  });
+});
+
+Tinytest.add('transactions - state - a method called from inside a method joins its open transaction', function(test) {
+  runInMethod(function() {
+    tx.start('outer');
+    callInNestedMethod(function() {
+      test.isTrue(tx.transactionStarted());
+      tx.insert(TestPosts, {_id: 'nested'});
+    });
+    // The insert was queued in the outer transaction rather than committed on its own
+    test.equal(TestPosts.find().count(), 0);
+    tx.rollback();
+    test.equal(TestPosts.find().count(), 0);
+    tx.start('outer');
+    callInNestedMethod(function() {
+      tx.insert(TestPosts, {_id: 'nested'});
+    });
+    tx.commit();
+    test.equal(TestPosts.find().count(), 1);
+  });
+});
+
+Tinytest.addAsync('transactions - state - a transaction that is never committed is rolled back after idleTimeout', function(test, onComplete) {
+  var idleTimeout = tx.idleTimeout;
+  tx.idleTimeout = 100;
+  try {
+    runInMethod(function() {
+      TestPosts.insert({_id: 'a', title: 'a'});
+      var transaction_id = tx.start('forgotten');
+      tx.update(TestPosts, 'a', {$set: {title: 'b'}});
+      // The timer keeps the method's environment, so it sees the same transaction state
+      Meteor.setTimeout(function() {
+        test.isFalse(tx.transactionStarted());
+        test.isUndefined(tx.Transactions.findOne({_id: transaction_id}));
+        test.equal(TestPosts.findOne({_id: 'a'}).title, 'a');
+        onComplete();
+      }, 500);
+    });
+  }
+  finally {
+    tx.idleTimeout = idleTimeout;
+  }
+});
@@ -0,0 +1,85 @@
+// TEST COLLECTIONS AND HELPERS (server only)
+
+TestPosts = new Mongo.Collection('transactions_test_posts');
+TestComments = new Mongo.Collection('transactions_test_comments');
+TestLikes = new Mongo.Collection('transactions_test_likes');
+
+var testBody = null;
+var nestedBody = null;
+
+Meteor.methods({
+  '_transactionsTestRun' : function() {
+    return testBody.call(this);
+  },
+  '_transactionsTestNested' : function() {
+    return nestedBody.call(this);
+  }
+});
+
+// Runs a test inside a method invocation (tx needs one on the server, to find out the user) with no user logged in
+// Every test collection is emptied and put in tx.collectionIndex first
+
+runInMethod = function(body) {
+  var requireUser = tx.requireUser;
+  tx.requireUser = false;
+  _.each([TestPosts, TestComments, TestLikes], function(collection) {
+    collection.remove({});
+    tx.collectionIndex[collection._name] = collection;
+  });
+  testBody = body;
+  try {
+    return Meteor.call('_transactionsTestRun');
+  }
+  finally {
+    testBody = null;
+    tx.requireUser = requireUser;
+  }
+};
+
+// Undoes (or redoes) a transaction through the same method that tx.undo (or tx.redo) calls
+// Returns the error code if it fails, or null if it succeeds
+
+undoTransaction = function(transaction_id) {
+  return callForError('_meteorTransactionsUndo', transaction_id);
+};
+
+redoTransaction = function(transaction_id) {
+  return callForError('_meteorTransactionsRedo', transaction_id);
+};
+
+var callForError = function(method, transaction_id) {
+  try {
+    Meteor.call(method, transaction_id);
+    return null;
+  }
+  catch (err) {
+    return err.error;
+  }
+};
+
+// Runs a function in a transaction of its own and returns the transaction's _id
+
+inTransaction = function(description, func) {
+  var transaction_id = tx.start(description);
+  func();
+  tx.commit();
+  return transaction_id;
+};
+
+// A document without the fields this package adds to it
+
+withoutManagedFields = function(doc) {
+  return doc && _.omit(doc, 'transaction_id', 'pending_transactions');
+};
+
+// Runs a function in a method called from inside the test's own method
+
+callInNestedMethod = function(body) {
+  nestedBody = body;
+  try {
+    return Meteor.call('_transactionsTestNested');
+  }
+  finally {
+    nestedBody = null;
+  }
+};
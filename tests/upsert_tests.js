@@ -0,0 +1,32 @@
+// UPSERTS
+
+Tinytest.add('transactions - upsert - an upsert that inserts is recorded and undone as an insert', function(test) {
+  runInMethod(function() {
+    var transaction_id = inTransaction('upsert new', function() {
+      tx.update(TestPosts, {slug: 'hello'}, {$set: {title: 'Hello'}, $setOnInsert: {views: 0}}, {upsert: true});
+    });
+    var doc = TestPosts.findOne({slug: 'hello'});
+    test.equal(_.pick(doc, 'slug', 'title', 'views'), {slug: 'hello', title: 'Hello', views: 0});
+    var items = tx.Transactions.findOne({_id: transaction_id}).items;
+    test.equal(items.inserted.length, 1);
+    test.equal((items.updated || []).length, 0);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(TestPosts.find().count(), 0);
+    test.isNull(redoTransaction(transaction_id));
+    test.equal(withoutManagedFields(TestPosts.findOne({slug: 'hello'})), withoutManagedFields(doc));
+  });
+});
+
+Tinytest.add('transactions - upsert - an upsert that updates is recorded and undone as an update', function(test) {
+  runInMethod(function() {
+    TestPosts.insert({_id: 'a', slug: 'hello', title: 'Old', views: 5});
+    var transaction_id = inTransaction('upsert existing', function() {
+      tx.update(TestPosts, {slug: 'hello'}, {$set: {title: 'Hello'}, $setOnInsert: {views: 0}}, {upsert: true});
+    });
+    test.equal(_.pick(TestPosts.findOne({_id: 'a'}), 'title', 'views'), {title: 'Hello', views: 5});
+    test.equal(TestPosts.find().count(), 1);
+    test.equal(tx.Transactions.findOne({_id: transaction_id}).items.updated.length, 1);
+    test.isNull(undoTransaction(transaction_id));
+    test.equal(_.pick(TestPosts.findOne({_id: 'a'}), 'title', 'views'), {title: 'Old', views: 5});
+  });
+});